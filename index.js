@@ -8,8 +8,11 @@ import { getContext } from "../../../extensions.js";
 import { loadSettings, settings, saveSettings, notify } from "./src/settings.js";
 import { loadSlashCommands } from "./src/commands.js";
 import { onMessageRendered, addMessageButtons, resetMessageButtons, applyCollapseStates } from "./src/messages.js";
-import { updateTokenDisplay } from "./src/token-tracker.js";
-import { loadMemoryData, injectMemoriesIntoContext, loadTimelineData, getTimelineForInjection } from "./src/memory-manager.js";
+import { updateTokenDisplay, checkTokenThreshold } from "./src/token-tracker.js";
+import { loadJobQueue } from "./src/job-queue.js";
+import { loadMemoryData, injectMemoriesIntoContext, loadTimelineData, reconcileTimeline, getTimelineForInjection, applySummaryReplacements } from "./src/memory-manager.js";
+import { renderPrompt } from "./src/prompt-template.js";
+import { scheduleSceneBreakCheck } from "./src/scene-detection.js";
 
 export const extension_name = 'SillyTavern-TokenReducer';
 export const extension_path = `scripts/extensions/third-party/${extension_name}`;
@@ -32,9 +35,16 @@ function checkVersion(version_string) {
 }
 
 /**
- * Handle generation started - inject memories if smart retrieval enabled
+ * Handle generation started - refresh the timeline injection, and inject memories if smart retrieval enabled
  */
 async function onGenerationStarted() {
+    // Chapters may have been added or edited since the last generation
+    try {
+        await updateTimelineInjection();
+    } catch (err) {
+        console.error('Token Reducer: Error updating timeline injection:', err);
+    }
+
     if (!settings.enable_smart_retrieval) return;
     if (!settings.retrieval_on_send) return;
 
@@ -45,11 +55,32 @@ async function onGenerationStarted() {
     }
 }
 
+/**
+ * Generate interceptor - replace summarized messages with their summaries in the outgoing prompt
+ * Registered through manifest.json; only the prompt copy of the chat is changed, never the saved chat
+ * @param {Array} chat - Chat messages that will be assembled into the prompt
+ * @param {number} contextSize - Max context size for this generation
+ * @param {Function} abort - Call to abort the generation
+ * @param {string} type - Generation type
+ */
+globalThis.tokenReducerInterceptor = async function (chat, contextSize, abort, type) {
+    if (!settings?.replace_with_summary) return;
+
+    try {
+        const replaced = applySummaryReplacements(chat);
+        if (replaced > 0) {
+            console.log(`Token Reducer: Replaced ${replaced} messages with summaries in prompt (type=${type})`);
+        }
+    } catch (err) {
+        console.error('Token Reducer: Error replacing messages with summaries:', err);
+    }
+};
+
 /**
  * Update timeline injection prompt
  * Uses setExtensionPrompt to inject timeline at the configured depth
  */
-export function updateTimelineInjection() {
+export async function updateTimelineInjection() {
     // Check if settings loaded
     if (!settings) {
         console.warn('Token Reducer: Settings not loaded yet, skipping timeline injection');
@@ -63,7 +94,7 @@ export function updateTimelineInjection() {
     }
 
     // Get the timeline content
-    const timeline = getTimelineForInjection();
+    const timeline = await getTimelineForInjection();
 
     // If no timeline, don't inject
     if (!timeline) {
@@ -72,9 +103,10 @@ export function updateTimelineInjection() {
     }
 
     // Process the template with macros
-    let prompt = settings.injection_template || '{{timeline}}';
-    prompt = prompt.replace(/\{\{timeline\}\}/g, timeline);
-    prompt = prompt.replace(/\{\{timelineResponses\}\}/g, ''); // Future: implement timeline fill responses
+    let prompt = renderPrompt(settings.injection_template || '{{timeline}}', {
+        timeline,
+        timelineResponses: '' // Future: implement timeline fill responses
+    });
 
     // Trim empty sections
     prompt = prompt.replace(/\[.*?\]\s*\n+\s*\n/g, ''); // Remove empty sections
@@ -112,14 +144,16 @@ async function onCharacterMessageRendered(mesId) {
     const chat = context.chat;
     const currentMessageIndex = parseInt(mesId);
 
-    // Handle Swipe Re-summarization
+    // Handle Swipe Summarization (only new swipes without a stored summary reach here)
     if (lastSwipeId === currentMessageIndex) {
         if (settings.enable_message_summary && settings.auto_summarize_on_swipe) {
             lastSwipeId = null;
-            console.log('Token Reducer: Swipe detected, re-summarizing:', mesId);
+            console.log('Token Reducer: New swipe rendered, summarizing:', mesId);
             try {
-                const { summarizeMessage } = await import('./src/summarizer.js');
-                await summarizeMessage(mesId);
+                const { summarizeMessage, applySwipeSummary } = await import('./src/summarizer.js');
+                if (!applySwipeSummary(mesId)) {
+                    await summarizeMessage(mesId);
+                }
                 onMessageRendered(mesId);
             } catch (err) {
                 console.error('Token Reducer: Failed to load summarizer on swipe:', err);
@@ -146,6 +180,11 @@ async function onCharacterMessageRendered(mesId) {
 
     lastMessageId = currentMessageIndex;
 
+    // Auto-Scene Detection (the model decides when a scene ends, checked in the background)
+    if (settings.enable_scene_mode && settings.auto_detect_scenes) {
+        scheduleSceneBreakCheck(currentMessageIndex);
+    }
+
     // Auto-Scene Creation (Every N messages)
     if (settings.enable_scene_mode && settings.auto_scene_interval > 0) {
         try {
@@ -165,11 +204,13 @@ async function onCharacterMessageRendered(mesId) {
         }
     }
 
-    // Auto-summarize old messages if enabled
+    // Auto-summarize old messages if enabled (queued as background jobs)
     if (settings.enable_message_summary && settings.auto_summarize) {
         try {
             const delay = settings.summary_delay_messages || 5;
             const oldestToSummarize = currentMessageIndex - delay;
+            const toSummarize = [];
+            const { queueMessageSummaries, findExchangeReply, cleanSourceText } = await import('./src/summarizer.js');
 
             // Find messages that need summarizing (older than delay)
             for (let i = 0; i < oldestToSummarize && i < chat.length; i++) {
@@ -182,22 +223,27 @@ async function onCharacterMessageRendered(mesId) {
                 // Skip user messages (summarize only AI) unless enabled
                 if (chat[i].is_user && !settings.auto_summarize_user) continue;
 
-                // Summarize this message
-                console.log(`Token Reducer: Auto-summarizing message ${i} (${currentMessageIndex - i} messages old)`);
-                try {
-                    const { summarizeMessage } = await import('./src/summarizer.js');
-                    await summarizeMessage(i);
-                    // Update UI for the summarized message
-                    onMessageRendered(i);
-                } catch (err) {
-                    console.error(`Token Reducer: Failed to summarize message ${i}:`, err);
-                }
+                // Skip user messages summarized together with their reply (exchange mode)
+                if (findExchangeReply(i) >= 0) continue;
+
+                // Skip messages with nothing left after preprocessing (e.g. only a status card)
+                if (!cleanSourceText(chat[i].mes)) continue;
+
+                toSummarize.push(i);
+            }
+
+            const queued = queueMessageSummaries(toSummarize);
+            if (queued > 0) {
+                console.log(`Token Reducer: Queued ${queued} messages for auto-summarization`);
             }
         } catch (err) {
             console.error('Token Reducer: Error in auto-summarize:', err);
         }
     }
 
+    // Keep prompt usage under the token threshold
+    await checkTokenThreshold();
+
     // Always update display
     updateTokenDisplay();
 }
@@ -211,6 +257,8 @@ async function onChatChanged(chatId) {
     try {
         loadMemoryData();
         loadTimelineData(); // Load chapter timeline data
+        reconcileTimeline(); // Once per chat: add chapters for scenes summarized before they were put on the timeline
+        loadJobQueue(); // Resume unfinished background jobs
         resetMessageButtons();
         applyCollapseStates(); // Apply collapse to summarized messages
         updateTokenDisplay();
@@ -252,22 +300,52 @@ jQuery(async () => {
         eventSource.on(event_types.MESSAGE_EDITED, async (mesId) => {
             if (!settings.enable_message_summary || !settings.auto_summarize_on_edit) return;
             const context = getContext();
-            const message = context.chat[mesId];
-            if (message?.extra?.tr_summary) {
-                console.log('Token Reducer: Message edited, re-summarizing:', mesId);
-                try {
-                    const { summarizeMessage } = await import('./src/summarizer.js');
-                    await summarizeMessage(mesId);
-                    onMessageRendered(mesId);
-                } catch (err) {
-                    console.error('Token Reducer: Failed to load summarizer on edit:', err);
+            try {
+                const { summarizeMessage, findExchangeReply } = await import('./src/summarizer.js');
+
+                // An edited user message changes the exchange summary stored on its reply
+                const replyId = findExchangeReply(mesId);
+                const summaryId = context.chat[replyId]?.extra?.tr_exchange_start === mesId ? replyId : mesId;
+
+                if (context.chat[summaryId]?.extra?.tr_summary) {
+                    console.log('Token Reducer: Message edited, re-summarizing:', summaryId);
+                    await summarizeMessage(summaryId);
+                    onMessageRendered(summaryId);
                 }
+            } catch (err) {
+                console.error('Token Reducer: Failed to load summarizer on edit:', err);
             }
         });
 
-        // Swipe Handler
-        eventSource.on(event_types.MESSAGE_SWIPED, (mesId) => {
-            lastSwipeId = mesId;
+        // Swipe Handler - switch to the stored summary for this swipe, or summarize it if missing
+        eventSource.on(event_types.MESSAGE_SWIPED, async (mesId) => {
+            try {
+                const { applySwipeSummary, summarizeMessage } = await import('./src/summarizer.js');
+                const message = getContext().chat[mesId];
+
+                if (applySwipeSummary(mesId)) {
+                    console.log(`Token Reducer: Using stored summary for swipe ${message.swipe_id} of message ${mesId}`);
+                    onMessageRendered(mesId);
+                    updateTokenDisplay();
+                    return;
+                }
+
+                onMessageRendered(mesId);
+
+                if (!settings.enable_message_summary || !settings.auto_summarize_on_swipe) return;
+
+                // An existing alternative can be summarized now; a new swipe waits until it is rendered
+                if (message?.swipes?.[message.swipe_id]) {
+                    console.log('Token Reducer: Swiped to unsummarized alternative, summarizing:', mesId);
+                    await summarizeMessage(mesId);
+                    onMessageRendered(mesId);
+                    updateTokenDisplay();
+                } else {
+                    lastSwipeId = parseInt(mesId);
+                }
+            } catch (err) {
+                console.error('Token Reducer: Error handling swipe:', err);
+            }
         });
 
     } catch (err) {
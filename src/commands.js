@@ -4,9 +4,11 @@
 
 import { getContext } from "../../../../extensions.js";
 import { settings } from "./settings.js";
-import { summarizeMessage, summarizeScene, summarizeAllMessages, clearAllSummaries, findLastSceneEnd, autoFillChapters } from "./summarizer.js";
+import { summarizeMessage, summarizeScene, summarizeAllMessages, clearAllSummaries, findLastSceneEnd, autoFillChapters, getUnsummarizedMessageIds, findMissingChapters } from "./summarizer.js";
+import { estimateMessageJobs, estimateSceneJobs, formatEstimate } from "./cost-estimate.js";
 import { getTotalSavings, updateTokenDisplay } from "./token-tracker.js";
-import { retrieveRelevantMemories, getChapterTimeline, exportMemories, analyzeAndShowArcs } from "./memory-manager.js";
+import { getChatLedger, getGlobalLedger, formatLedgerTotals } from "./cost-ledger.js";
+import { retrieveRelevantMemories, getChapterTimeline, exportMemories, analyzeAndShowArcs, getArcs, getSaga, rollupTimeline } from "./memory-manager.js";
 
 /**
  * Register slash commands
@@ -122,9 +124,13 @@ export function loadSlashCommands() {
             }
 
             try {
+                if (String(args.dryrun) === 'true') {
+                    const blocks = findMissingChapters(interval);
+                    return blocks.length ? formatEstimate(await estimateSceneJobs(blocks)) : 'No missing chapters found to fill';
+                }
+
                 const count = await autoFillChapters(interval);
-                updateTokenDisplay();
-                return `Auto-fill complete: Created ${count} chapters.`;
+                return `Auto-fill: Queued ${count} chapters.`;
             } catch (err) {
                 return `Error: ${err.message}`;
             }
@@ -136,6 +142,13 @@ export function loadSlashCommands() {
                 description: 'Number of messages per chapter (min 5)',
                 typeList: [ARGUMENT_TYPE.NUMBER],
                 isRequired: true
+            }),
+            SlashCommandArgument.fromProps({
+                name: 'dryrun',
+                description: 'Only show the ranges, API calls, tokens and savings it would take',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                isRequired: false
             })
         ],
         unnamedArgumentList: [
@@ -145,7 +158,7 @@ export function loadSlashCommands() {
                 isRequired: true
             })
         ],
-        helpString: 'Automatically fill missing chapters with a set interval. Example: /tr-autofill 20'
+        helpString: 'Queue missing chapters with a set interval for background summarization. Add dryrun=true to only see the cost estimate. Example: /tr-autofill 20'
     }));
 
     // /tr-status - Show token savings stats
@@ -153,6 +166,7 @@ export function loadSlashCommands() {
         name: 'tr-status',
         callback: async () => {
             const savings = await getTotalSavings();
+            const { totals, tasks } = getChatLedger();
 
             const status = [
                 `📊 Token Reducer Status`,
@@ -162,6 +176,11 @@ export function loadSlashCommands() {
                 `With Summaries: ${savings.current.toLocaleString()}`,
                 `Tokens Saved: ${savings.saved.toLocaleString()} (${savings.savedPercent}%)`,
                 `─────────────────────`,
+                `Spent (this chat): ${formatLedgerTotals(totals)}`,
+                `  Input/output: ${totals.inputTokens.toLocaleString()} / ${totals.outputTokens.toLocaleString()}`,
+                ...Object.entries(tasks).map(([task, t]) => `  ${task}: ${formatLedgerTotals(t)}, avg ${Math.round(t.latencyMs / Math.max(1, t.requests))} ms`),
+                `Spent (all chats): ${formatLedgerTotals(getGlobalLedger().totals)}`,
+                `─────────────────────`,
                 `Auto-summarize: ${settings.auto_summarize ? 'ON' : 'OFF'}`,
                 `Replace with summary: ${settings.replace_with_summary ? 'ON' : 'OFF'}`
             ].join('\n');
@@ -169,7 +188,7 @@ export function loadSlashCommands() {
             return status;
         },
         aliases: ['trstatus'],
-        helpString: 'Show current token savings statistics'
+        helpString: 'Show current token savings and the tokens spent on summarization requests'
     }));
 
     // /tr-retrieve - Manually retrieve relevant context
@@ -207,17 +226,30 @@ export function loadSlashCommands() {
     // /tr-all - Summarize all messages
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'tr-all',
-        callback: async () => {
+        callback: async (args) => {
             try {
+                if (String(args.dryrun) === 'true') {
+                    const ids = getUnsummarizedMessageIds();
+                    return ids.length ? formatEstimate(await estimateMessageJobs(ids)) : 'All messages already summarized';
+                }
+
                 const count = await summarizeAllMessages();
-                updateTokenDisplay();
-                return `Summarized ${count} messages`;
+                return `Queued ${count} messages for summarization`;
             } catch (err) {
                 return `Error: ${err.message}`;
             }
         },
         aliases: ['trall'],
-        helpString: 'Summarize all unsummarized messages in the chat'
+        namedArgumentList: [
+            SlashCommandArgument.fromProps({
+                name: 'dryrun',
+                description: 'Only show the messages, API calls, tokens and savings it would take',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                isRequired: false
+            })
+        ],
+        helpString: 'Queue all unsummarized messages in the chat for background summarization. Add dryrun=true to only see the cost estimate.'
     }));
 
     // /tr-clear - Clear all summaries
@@ -246,9 +278,14 @@ export function loadSlashCommands() {
                 return 'No chapters recorded yet. Use /tr-scene-end to create chapters.';
             }
 
+            const saga = getSaga();
+            const arcs = getArcs();
+
             const result = [
-                `📜 Timeline (${chapters.length} chapters):`,
+                `📜 Timeline (${chapters.length} chapters, ${arcs.length} arcs):`,
                 '─────────────────────',
+                ...(saga ? [`**Saga** (Arcs 1-${saga.endArc}): ${saga.summary}`] : []),
+                ...arcs.map((arc, i) => `**Arc ${i + 1}** (Chapters ${arc.startChapter}-${arc.endChapter}): ${arc.summary}`),
                 ...chapters.map((chapter, i) => `**Chapter ${i + 1}** (Messages ${chapter.startMsgId}-${chapter.endMsgId}): ${chapter.summary}`)
             ].join('\n\n');
 
@@ -258,6 +295,21 @@ export function loadSlashCommands() {
         helpString: 'Show the timeline of chapter summaries'
     }));
 
+    // /tr-rollup - Roll chapters up into arcs and the saga
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'tr-rollup',
+        callback: async () => {
+            try {
+                const result = await rollupTimeline();
+                return `Rollup complete: ${result.arcs} new arcs${result.saga ? ', saga updated' : ''}`;
+            } catch (err) {
+                return `Error: ${err.message}`;
+            }
+        },
+        aliases: ['trru'],
+        helpString: 'Summarize completed groups of chapters into arcs, and arcs into the saga'
+    }));
+
     // /tr-export - Export memories to JSON
     SlashCommandParser.addCommandObject(SlashCommand.fromProps({
         name: 'tr-export',
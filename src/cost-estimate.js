@@ -0,0 +1,230 @@
+/**
+ * Cost Estimate - dry-run preview of API calls, tokens and savings before bulk operations
+ * Token counts use the current chat's tokenizer, so totals are estimates.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+import { getTargetSummaryTokens } from "./token-tracker.js";
+import { renderPrompt } from "./prompt-template.js";
+import { findExchangeStart, cleanSourceText } from "./summarizer.js";
+import { escapeHtml } from "./summary-history.js";
+
+// Rough response sizes for the short follow-up calls
+const KEYWORD_OUTPUT_TOKENS = 20;
+const JUDGE_OUTPUT_TOKENS = 60;
+
+function usesLorebook() {
+    return settings.storage_mode === 'lorebook' || settings.storage_mode === 'both';
+}
+
+function createEstimate() {
+    return { items: [], calls: 0, keywordCalls: 0, inputTokens: 0, outputTokens: 0, savings: 0, notes: [] };
+}
+
+/**
+ * Estimate the cost of summarizing messages one by one or in batches
+ * @param {number[]} mesIds - Messages that would be summarized
+ * @returns {Promise<Object>} Estimate ({items, calls, keywordCalls, inputTokens, outputTokens, savings, notes})
+ */
+export async function estimateMessageJobs(mesIds) {
+    const context = getContext();
+    const chat = context.chat;
+    const count = text => context.getTokenCountAsync(text || '');
+    const estimate = createEstimate();
+
+    const local = settings.summarization_strategy === 'extractive';
+    const structured = settings.structured_summaries && !local;
+    const batched = (settings.batch_size || 1) > 1 && !structured && !local;
+    const judge = settings.faithfulness_check !== 'off' && settings.faithfulness_llm_judge && !local;
+    const keywords = usesLorebook() && !structured && !local;
+
+    const prompt = batched ? settings.batch_summary_prompt : structured ? settings.structured_summary_prompt : settings.summary_prompt;
+    const promptTokens = await count(renderPrompt(prompt, { content: '' }));
+    const keywordPromptTokens = keywords ? await count(renderPrompt(settings.keywords_prompt, { content: '' })) : 0;
+    const judgePromptTokens = judge ? await count(renderPrompt(settings.faithfulness_judge_prompt, { content: '' })) : 0;
+    const contextCount = settings.summary_context_messages || 0;
+
+    for (const id of mesIds) {
+        const message = chat[id];
+        const messageText = cleanSourceText(message.mes);
+
+        // Exchange summaries also cover the user message the reply answers
+        const exchangeStart = settings.summary_unit === 'exchange' ? findExchangeStart(id) : -1;
+        const user = chat[exchangeStart];
+        const userText = user ? cleanSourceText(user.mes) : '';
+        const text = user ? `${userText}\n\n${messageText}` : messageText;
+        const sourceTokens = await count(user ? `${user.name}: ${userText}\n\n${message.name}: ${messageText}` : `${message.name}: ${messageText}`);
+        const textTokens = await count(text);
+        const summaryTokens = getTargetSummaryTokens(textTokens);
+
+        // Read-only context: the preceding messages, as summaries or raw text
+        let contextTokens = 0;
+        for (let i = (user ? exchangeStart : id) - 1, found = 0; i >= 0 && found < contextCount; i--) {
+            if (!chat[i]?.mes) continue;
+            const summary = settings.summary_context_source === 'summaries' ? chat[i].extra?.tr_summary : null;
+            contextTokens += await count(summary || cleanSourceText(chat[i].mes));
+            found++;
+        }
+
+        const item = {
+            label: user ? `Messages #${exchangeStart}-${id}` : `Message #${id}`,
+            calls: local || batched ? 0 : 1,
+            inputTokens: local ? 0 : sourceTokens + contextTokens + (batched ? 0 : promptTokens),
+            outputTokens: local ? 0 : summaryTokens,
+            savings: Math.max(0, await count(user ? `${user.mes}\n\n${message.mes}` : message.mes) - summaryTokens) // The prompt drops the raw text
+        };
+
+        if (judge) {
+            item.calls++;
+            item.inputTokens += sourceTokens + summaryTokens + judgePromptTokens;
+            item.outputTokens += JUDGE_OUTPUT_TOKENS;
+        }
+        if (keywords) {
+            estimate.keywordCalls++;
+            item.inputTokens += summaryTokens + keywordPromptTokens;
+            item.outputTokens += KEYWORD_OUTPUT_TOKENS;
+        }
+
+        estimate.items.push(item);
+    }
+
+    // Batched messages share one request (and one prompt) per batch
+    if (batched) {
+        const batches = Math.ceil(mesIds.length / settings.batch_size);
+        estimate.calls += batches;
+        estimate.inputTokens += batches * promptTokens;
+    }
+
+    if (local) estimate.notes.push('The extractive strategy summarizes locally, with no API calls.');
+    if (structured) estimate.notes.push('Structured summaries may need extra repair calls when the JSON is invalid.');
+    if (keywords) estimate.notes.push('Keyword calls are skipped for summaries that already end with keywords.');
+    if (settings.adaptive_length) estimate.notes.push('Summaries far over their target length need one more call to shorten them.');
+
+    return sumItems(estimate);
+}
+
+/**
+ * Estimate the cost of summarizing message ranges as scenes
+ * @param {Array<{startId: number, endId: number}>} ranges - Ranges that would be summarized
+ * @returns {Promise<Object>} Estimate ({items, calls, keywordCalls, inputTokens, outputTokens, savings, notes})
+ */
+export async function estimateSceneJobs(ranges) {
+    const context = getContext();
+    const chat = context.chat;
+    const count = text => context.getTokenCountAsync(text || '');
+    const estimate = createEstimate();
+
+    const local = settings.summarization_strategy === 'extractive';
+    const keywords = usesLorebook() && !local;
+    const promptTokens = await count(renderPrompt(settings.scene_summary_prompt, { content: '' }));
+    const keywordPromptTokens = keywords ? await count(renderPrompt(settings.keywords_prompt, { content: '' })) : 0;
+    const maxTokens = context.maxContext - 500; // Same budget as summarizeScene
+
+    for (const { startId, endId } of ranges) {
+        let sourceTokens = 0;
+        for (let i = startId; i <= endId && i < chat.length; i++) {
+            if (chat[i].is_system) continue;
+            sourceTokens += await count(`${chat[i].name}: ${cleanSourceText(chat[i].mes)}`);
+        }
+
+        const summaryTokens = settings.max_scene_summary_tokens > 0
+            ? Math.min(settings.max_scene_summary_tokens, getTargetSummaryTokens(sourceTokens))
+            : getTargetSummaryTokens(sourceTokens);
+
+        // Long scenes are summarized in chunks (each carrying the previous chunk summary), then combined
+        const chunks = Math.max(1, Math.ceil(sourceTokens / Math.max(1, maxTokens)));
+        const item = {
+            label: `Messages #${startId}-${endId}`,
+            calls: local ? 0 : chunks > 1 ? chunks + 1 : 1,
+            inputTokens: 0,
+            outputTokens: 0,
+            savings: settings.hide_summarized_scenes ? Math.max(0, sourceTokens - summaryTokens) : 0
+        };
+
+        if (!local) {
+            const chunkSummaryTokens = getTargetSummaryTokens(Math.ceil(sourceTokens / chunks));
+            const rollingTokens = settings.rolling_chunk_context ? (chunks - 1) * chunkSummaryTokens : 0;
+            item.inputTokens = sourceTokens + item.calls * promptTokens + rollingTokens + (chunks > 1 ? chunks * chunkSummaryTokens : 0);
+            item.outputTokens = chunks > 1 ? chunks * chunkSummaryTokens + summaryTokens : summaryTokens;
+        }
+
+        if (keywords) {
+            estimate.keywordCalls++;
+            item.inputTokens += summaryTokens + keywordPromptTokens;
+            item.outputTokens += KEYWORD_OUTPUT_TOKENS;
+        }
+
+        estimate.items.push(item);
+    }
+
+    if (local) estimate.notes.push('The extractive strategy summarizes locally, with no API calls.');
+    if (!settings.hide_summarized_scenes) estimate.notes.push('Savings only apply once summarized scenes are hidden.');
+
+    return sumItems(estimate);
+}
+
+function sumItems(estimate) {
+    for (const item of estimate.items) {
+        estimate.calls += item.calls;
+        estimate.inputTokens += item.inputTokens;
+        estimate.outputTokens += item.outputTokens;
+        estimate.savings += item.savings;
+    }
+    estimate.calls += estimate.keywordCalls;
+    return estimate;
+}
+
+/**
+ * Format an estimate as plain text (for slash command dry runs)
+ */
+export function formatEstimate(estimate) {
+    const lines = [
+        `${estimate.items.length} items: ${estimate.items.map(item => item.label).join(', ')}`,
+        `API calls: ~${estimate.calls}${estimate.keywordCalls ? ` (${estimate.keywordCalls} for keywords)` : ''}`,
+        `Input tokens: ~${estimate.inputTokens.toLocaleString()}`,
+        `Output tokens: ~${estimate.outputTokens.toLocaleString()}`,
+        `Projected savings: ~${estimate.savings.toLocaleString()} tokens`,
+        ...estimate.notes
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Show the estimate and ask whether to go ahead
+ * @param {string} title - Popup title
+ * @param {Object} estimate - Result of estimateMessageJobs or estimateSceneJobs
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+export async function confirmBulkOperation(title, estimate) {
+    const rows = estimate.items.map(item => `
+        <tr>
+            <td>${escapeHtml(item.label)}</td>
+            <td>${item.calls}</td>
+            <td>${item.inputTokens.toLocaleString()}</td>
+            <td>${item.outputTokens.toLocaleString()}</td>
+            <td>${item.savings.toLocaleString()}</td>
+        </tr>
+    `).join('');
+
+    const html = `
+        <div class="tr-estimate">
+            <table class="tr-estimate-summary">
+                <tr><td>API calls</td><td>~${estimate.calls}${estimate.keywordCalls ? ` (${estimate.keywordCalls} for keywords)` : ''}</td></tr>
+                <tr><td>Input tokens</td><td>~${estimate.inputTokens.toLocaleString()}</td></tr>
+                <tr><td>Output tokens</td><td>~${estimate.outputTokens.toLocaleString()}</td></tr>
+                <tr><td>Projected savings</td><td>~${estimate.savings.toLocaleString()} tokens</td></tr>
+            </table>
+            ${estimate.notes.map(note => `<small>${escapeHtml(note)}</small>`).join('<br>')}
+            <details>
+                <summary>${estimate.items.length} items to process</summary>
+                <table class="tr-estimate-items">
+                    <tr><th>Item</th><th>Calls</th><th>Input</th><th>Output</th><th>Savings</th></tr>
+                    ${rows}
+                </table>
+            </details>
+        </div>
+    `;
+
+    return !!(await getContext().Popup.show.confirm(title, html));
+}
@@ -0,0 +1,113 @@
+/**
+ * Cost Ledger - record every request the extension makes (task, profile, tokens, latency, success)
+ * Kept per chat (chat_metadata.tr_ledger) and across all chats (settings.usage_ledger, totals only).
+ * Token counts use the current chat's tokenizer, so they are estimates.
+ */
+
+import { getContext, extension_settings } from "../../../../extensions.js";
+import { settings, saveSettings } from "./settings.js";
+
+// Requests kept per chat for inspection; totals cover every request
+const MAX_ENTRIES = 200;
+
+function createTotals() {
+    return { requests: 0, failed: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0 };
+}
+
+function createLedger() {
+    return { totals: createTotals(), tasks: {}, entries: [] };
+}
+
+function addToTotals(totals, entry) {
+    totals.requests++;
+    if (!entry.success) totals.failed++;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.latencyMs += entry.latencyMs;
+}
+
+/**
+ * Add an entry to a ledger's overall and per-task totals
+ */
+function addToLedger(ledger, entry) {
+    addToTotals(ledger.totals, entry);
+    if (!ledger.tasks[entry.task]) ledger.tasks[entry.task] = createTotals();
+    addToTotals(ledger.tasks[entry.task], entry);
+}
+
+function getProfileName(profileId) {
+    const profiles = extension_settings?.connectionManager?.profiles || [];
+    return profiles.find(p => p.id === profileId)?.name || profileId;
+}
+
+/**
+ * Record a finished request
+ * Never throws, so a ledger problem can't fail the request it records.
+ * @param {Object} request
+ * @param {string} request.task - Task name ('message', 'scene', 'keywords', 'retrieval', 'arc' or 'scene_detection')
+ * @param {string} request.profileId - Connection profile the request went to
+ * @param {Array<{role: string, content: string}>} request.messages - Messages sent
+ * @param {string} [request.response] - Response text, if the request succeeded
+ * @param {number} request.latencyMs - Time until the response (or error)
+ * @param {string} request.chatId - Chat the request was made for
+ * @param {Error} [request.error] - Error, if the request failed
+ */
+export async function recordRequest({ task, profileId, messages, response = '', latencyMs, chatId, error = null }) {
+    try {
+        const context = getContext();
+        const entry = {
+            timestamp: Date.now(),
+            task,
+            profile: getProfileName(profileId),
+            inputTokens: await context.getTokenCountAsync(messages.map(m => m.content).join('\n')),
+            outputTokens: response ? await context.getTokenCountAsync(response) : 0,
+            latencyMs,
+            success: !error
+        };
+        if (error) entry.error = String(error?.message || error).substring(0, 200);
+
+        settings.usage_ledger = settings.usage_ledger || createLedger();
+        addToLedger(settings.usage_ledger, entry);
+        saveSettings();
+
+        // Only the chat the request was made for gets the entry
+        if (context.chatId && context.chatId === chatId) {
+            if (!context.chatMetadata) {
+                context.chatMetadata = {};
+            }
+            const ledger = context.chatMetadata.tr_ledger || createLedger();
+            addToLedger(ledger, entry);
+            ledger.entries = [...ledger.entries, entry].slice(-MAX_ENTRIES);
+            context.chatMetadata.tr_ledger = ledger;
+            context.saveMetadata();
+        }
+    } catch (err) {
+        console.warn('Token Reducer: Failed to record request in the cost ledger:', err);
+    }
+}
+
+/**
+ * Get the ledger of the current chat
+ * @returns {{totals: Object, tasks: Object, entries: Array}} Totals ({requests, failed, inputTokens, outputTokens, latencyMs}),
+ *   totals by task and the most recent requests
+ */
+export function getChatLedger() {
+    return getContext().chatMetadata?.tr_ledger || createLedger();
+}
+
+/**
+ * Get the totals across all chats
+ * @returns {{totals: Object, tasks: Object}}
+ */
+export function getGlobalLedger() {
+    return settings.usage_ledger || createLedger();
+}
+
+/**
+ * Format ledger totals as "N tokens (N requests)"
+ */
+export function formatLedgerTotals(totals) {
+    const tokens = totals.inputTokens + totals.outputTokens;
+    const failed = totals.failed > 0 ? `, ${totals.failed} failed` : '';
+    return `${tokens.toLocaleString()} tokens (${totals.requests} requests${failed})`;
+}
@@ -0,0 +1,202 @@
+/**
+ * Extractive Summarizer - local, no-LLM summaries built from the most central sentences
+ * TextRank-style sentence scoring with name and dialogue heuristics
+ */
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'but', 'for', 'nor', 'yet', 'was', 'were', 'are', 'has', 'had', 'have', 'been', 'being', 'this',
+    'that', 'these', 'those', 'there', 'here', 'then', 'than', 'with', 'from', 'into', 'onto', 'upon', 'about',
+    'over', 'under', 'after', 'before', 'while', 'when', 'where', 'what', 'which', 'who', 'whom', 'whose', 'why',
+    'how', 'not', 'now', 'just', 'only', 'also', 'very', 'too', 'can', 'could', 'would', 'should', 'will', 'shall',
+    'may', 'might', 'must', 'does', 'did', 'doing', 'done', 'her', 'hers', 'him', 'his', 'she', 'they', 'them',
+    'their', 'theirs', 'you', 'your', 'yours', 'our', 'ours', 'its', 'it\'s', 'i\'m', 'you\'re', 'don\'t', 'didn\'t',
+    'can\'t', 'won\'t', 'all', 'any', 'some', 'each', 'every', 'more', 'most', 'much', 'many', 'such', 'own', 'same',
+    'other', 'again', 'still', 'even', 'back', 'out', 'off', 'down', 'through', 'like', 'said', 'says', 'say',
+    'one', 'get', 'got', 'let', 'yes', 'yeah', 'okay', 'well', 'really', 'something', 'anything', 'nothing',
+]);
+
+// Common sentence starters that are capitalized but are not names
+const NON_NAMES = new Set(['i', 'the', 'a', 'an', 'he', 'she', 'they', 'we', 'you', 'it', 'his', 'her', 'their',
+    'but', 'and', 'then', 'when', 'as', 'if', 'oh', 'no', 'yes', 'what', 'why', 'how', 'okay', 'well', 'maybe']);
+
+// Runs of Chinese, Japanese or Korean characters
+const CJK_PATTERN = /[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af]+/g;
+
+/**
+ * Split "Name: text" paragraphs into sentences that remember their speaker
+ * @param {string} text - Source text (one or more "Name: message" paragraphs)
+ * @returns {Array<{speaker: string|null, text: string}>}
+ */
+export function splitSentences(text) {
+    const sentences = [];
+
+    for (const paragraph of (text || '').split(/\n\s*\n/)) {
+        const speakerMatch = paragraph.match(/^\s*([^:：\n]{1,40})(?::\s+|：\s*)/);
+        const speaker = speakerMatch ? speakerMatch[1].trim() : null;
+        const body = (speakerMatch ? paragraph.substring(speakerMatch[0].length) : paragraph)
+            .replace(/[*_~`#]/g, '')
+            .replace(/\s+/g, ' ');
+
+        // Latin and CJK (。！？) sentence ends, with any closing quotes or brackets
+        const parts = body.match(/[^.!?…。！？]+(?:[.!?…。！？]+["'”’)\]」』）]*|$)/g) || [];
+        for (const part of parts) {
+            const sentence = part.trim();
+            if (sentence.length > 1) sentences.push({ speaker, text: sentence });
+        }
+    }
+
+    return sentences;
+}
+
+function tokenize(text) {
+    const lower = text.toLowerCase();
+    const words = (lower.replace(CJK_PATTERN, ' ').match(/[\p{L}\p{N}']+/gu) || [])
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+    // CJK text has no spaces between words, so overlapping character pairs stand in for words
+    for (const run of lower.match(CJK_PATTERN) || []) {
+        for (let i = 0; i < run.length - 1; i++) {
+            words.push(run.substring(i, i + 2));
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Find capitalized words that are not sentence starters
+ */
+function findNames(text) {
+    const words = text.match(/[\p{L}'’-]+/gu) || [];
+    return words.filter((word, index) => index > 0 && /^\p{Lu}/u.test(word) && !NON_NAMES.has(word.toLowerCase()));
+}
+
+/**
+ * Similarity of two sentences (word overlap normalized by sentence length, as in TextRank)
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let overlap = 0;
+    for (const word of a) {
+        if (b.has(word)) overlap++;
+    }
+    return overlap / (Math.log(a.size + 1) + Math.log(b.size + 1));
+}
+
+/**
+ * Score sentences by centrality (PageRank over the similarity graph)
+ */
+function rankSentences(tokenSets, iterations = 20, damping = 0.85) {
+    const count = tokenSets.length;
+    const weights = tokenSets.map((a, i) => tokenSets.map((b, j) => i === j ? 0 : similarity(a, b)));
+    const outSums = weights.map(row => row.reduce((sum, w) => sum + w, 0));
+    let scores = new Array(count).fill(1);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        scores = scores.map((_, i) => {
+            let sum = 0;
+            for (let j = 0; j < count; j++) {
+                if (weights[j][i] > 0 && outSums[j] > 0) {
+                    sum += (weights[j][i] / outSums[j]) * scores[j];
+                }
+            }
+            return (1 - damping) + damping * sum;
+        });
+    }
+
+    return scores;
+}
+
+/**
+ * Build an extractive summary from the highest scoring sentences, kept in original order
+ * Sentences naming characters score higher; sentences that are mostly quoted dialogue score lower.
+ * @param {string} text - Source text (one or more "Name: message" paragraphs)
+ * @param {Object} options
+ * @param {number} [options.maxSentences] - Sentences to keep
+ * @param {string[]} [options.knownNames] - Names that always count as entities (e.g. user and character)
+ * @returns {string} Summary, prefixed with the speaker whenever it changes
+ */
+export function extractiveSummary(text, options = {}) {
+    const sentences = splitSentences(text);
+    if (sentences.length === 0) return '';
+
+    const maxSentences = Math.max(1, options.maxSentences || 2);
+    const knownNames = (options.knownNames || []).filter(Boolean).map(n => n.toLowerCase());
+
+    let selected = sentences.map((sentence, index) => ({ ...sentence, index }));
+
+    if (sentences.length > maxSentences) {
+        const scores = rankSentences(sentences.map(s => new Set(tokenize(s.text))));
+
+        selected = selected
+            .map((sentence, i) => {
+                const lower = sentence.text.toLowerCase();
+                const nameCount = findNames(sentence.text).length + knownNames.filter(n => lower.includes(n)).length;
+                const quoted = (sentence.text.match(/["“”][^"“”]*["“”]/g) || []).join('').length;
+                const wordCount = sentence.text.split(/\s+/).length;
+
+                let score = scores[i] * (1 + 0.15 * Math.min(nameCount, 3));
+                if (quoted > sentence.text.length * 0.6) score *= 0.75;
+                if (wordCount < 4) score *= 0.5;
+                if (i === 0) score *= 1.1;
+                return { ...sentence, score };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxSentences)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    const lines = [];
+    for (const sentence of selected) {
+        const last = lines[lines.length - 1];
+        if (last && last.speaker === sentence.speaker) {
+            last.text += ` ${sentence.text}`;
+        } else {
+            lines.push({ speaker: sentence.speaker, text: sentence.text });
+        }
+    }
+
+    return lines
+        .map(line => line.speaker ? `${line.speaker}: ${line.text}` : line.text)
+        .join('\n');
+}
+
+/**
+ * Pick keywords locally: character names first, then the most frequent content words
+ * @param {string} text - Source text
+ * @param {Object} options
+ * @param {number} [options.maxKeywords] - Keywords to return
+ * @param {string[]} [options.exclude] - Words to leave out (e.g. the user and character names)
+ * @returns {string[]}
+ */
+export function extractKeywords(text, options = {}) {
+    const maxKeywords = options.maxKeywords || 5;
+    const exclude = new Set((options.exclude || []).filter(Boolean).map(w => w.toLowerCase()));
+    const sentences = splitSentences(text);
+
+    const nameCounts = new Map();
+    const wordCounts = new Map();
+    for (const sentence of sentences) {
+        for (const name of findNames(sentence.text)) {
+            nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+        }
+        for (const word of tokenize(sentence.text)) {
+            wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+        }
+    }
+
+    const byCount = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+    const keywords = [];
+    const seen = new Set(exclude);
+
+    for (const word of [...byCount(nameCounts), ...byCount(wordCounts)]) {
+        const key = word.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        keywords.push(word);
+        if (keywords.length >= maxKeywords) break;
+    }
+
+    return keywords;
+}
@@ -0,0 +1,85 @@
+/**
+ * Faithfulness Heuristics - check that a summary only mentions things found in its source
+ */
+
+import { extractJson } from "./structured-summary.js";
+
+// Capitalized words that are not names (sentence starters, pronouns, summary labels)
+const IGNORED_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'but', 'or', 'so', 'then', 'when', 'while', 'after', 'before', 'as', 'at', 'in', 'on',
+    'of', 'to', 'for', 'with', 'from', 'by', 'into', 'this', 'that', 'these', 'those', 'there', 'here', 'it', 'its',
+    'he', 'she', 'they', 'we', 'you', 'i', 'his', 'her', 'their', 'our', 'your', 'my', 'him', 'them', 'us', 'me',
+    'both', 'each', 'all', 'some', 'no', 'not', 'yes', 'meanwhile', 'later', 'finally', 'however', 'also',
+    'summary', 'keywords', 'location', 'items', 'tone', 'who', 'what', 'where', 'why', 'how', 'key', 'info',
+    'emotional', 'shifts', 'scene', 'chapter', 'message', 'user', 'char', 'ai', 'ok', 'okay',
+]);
+
+/**
+ * Extract likely named entities (capitalized words and numbers) from text
+ * A capitalized word that starts a sentence ("Despite", "Feeling") only counts if it is also
+ * capitalized somewhere in the middle of a sentence.
+ * @param {string} text - Text to scan
+ * @returns {string[]} Unique entities, in order of first appearance
+ */
+export function extractEntities(text) {
+    if (!text) return [];
+
+    const matches = [...text.matchAll(/\b(?:[A-Z][\p{L}'-]{1,}|\d+(?:[.:]\d+)?)\b/gu)].map(match => ({
+        word: match[0],
+        sentenceStart: /(?:^|[.!?:]["')\]]*\s+|\n\s*)["'(\[*-]*$/.test(text.substring(0, match.index))
+    }));
+    const midSentence = new Set(matches.filter(m => !m.sentenceStart).map(m => m.word.toLowerCase()));
+
+    const entities = [];
+    const seen = new Set();
+
+    for (const { word, sentenceStart } of matches) {
+        const key = word.toLowerCase();
+        if (IGNORED_WORDS.has(key) || seen.has(key)) continue;
+        if (sentenceStart && /\D/.test(word) && !midSentence.has(key)) continue;
+        seen.add(key);
+        entities.push(word);
+    }
+
+    return entities;
+}
+
+/**
+ * Check whether a word appears in text as a whole word (case-insensitive)
+ */
+function containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * Check which entities in a summary are not supported by the source text
+ * @param {string} summary - The generated summary
+ * @param {string} source - The text that was summarized
+ * @param {string[]} knownNames - Names always considered supported (e.g. user and character)
+ * @returns {{score: number, unsupported: string[], total: number}}
+ */
+export function checkEntityOverlap(summary, source, knownNames = []) {
+    const entities = extractEntities(summary);
+    const known = new Set(knownNames.filter(Boolean).map(n => n.toLowerCase()));
+
+    const unsupported = entities.filter(entity => !known.has(entity.toLowerCase()) && !containsWord(source || '', entity));
+
+    const total = entities.length;
+    const score = total === 0 ? 1 : (total - unsupported.length) / total;
+
+    return { score, unsupported, total };
+}
+
+/**
+ * Parse an LLM judge response ({"faithful": bool, "issues": [...]})
+ * @param {string} response - Raw model output
+ * @returns {{faithful: boolean, issues: string[]}|null} Parsed verdict, or null if unparseable
+ */
+export function parseJudgeResponse(response) {
+    const parsed = extractJson(response, { arrays: false });
+    if (typeof parsed?.faithful !== 'boolean') return null;
+
+    const issues = Array.isArray(parsed.issues) ? parsed.issues.map(String) : [];
+    return { faithful: parsed.faithful, issues };
+}
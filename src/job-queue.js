@@ -0,0 +1,523 @@
+/**
+ * Background Job Queue
+ * Persists summarization work in chat metadata so it can be paused, cancelled and resumed after reload
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { notify } from "./settings.js";
+import { updateTokenDisplay } from "./token-tracker.js";
+
+// Queue state for the current chat (stored in chat_metadata.tr_job_queue)
+let queue = createEmptyQueue();
+let queueChatId = null;
+let processing = false;
+let interrupted = false; // The user pressed stop during the running job
+
+/**
+ * Job handlers by type. Each receives the job params and the job, and throws on failure.
+ */
+const jobHandlers = {
+    message: async ({ mesId }) => {
+        const { summarizeMessage } = await import('./summarizer.js');
+        const summary = await summarizeMessage(mesId);
+        if (!summary) throw new Error(`No summary generated for message ${mesId}`);
+
+        const { onMessageRendered } = await import('./messages.js');
+        onMessageRendered(mesId);
+    },
+    message_batch: async ({ mesIds }, job) => {
+        const { summarizeMessagesBatch } = await import('./summarizer.js');
+        const { failed } = await summarizeMessagesBatch(mesIds);
+
+        const { onMessageRendered } = await import('./messages.js');
+        mesIds.forEach(mesId => onMessageRendered(mesId));
+
+        // The job fails with only the messages that got no summary, so a retry redoes just those
+        if (failed.length > 0) {
+            narrowBatchJob(job, failed);
+            throw new Error(`No summaries generated for messages ${failed.join(', ')}`);
+        }
+    },
+    scene: async ({ startId, endId, options }) => {
+        const { summarizeScene } = await import('./summarizer.js');
+        const summary = await summarizeScene(startId, endId, options);
+        if (!summary) throw new Error(`No summary generated for scene ${startId}-${endId}`);
+    },
+    keyword: async ({ mesId, scene = false }) => {
+        const { generateKeywords, setSummaryKeywords } = await import('./summarizer.js');
+        const message = getContext().chat[mesId];
+        const summary = scene ? message?.extra?.tr_scene_summary : message?.extra?.tr_summary;
+        if (!summary) throw new Error(`Message ${mesId} has no ${scene ? 'scene ' : ''}summary`);
+
+        // Structured and post-processed summaries may have gained keywords since the job was queued
+        const existing = scene ? message.extra.tr_scene_keywords : message.extra.tr_keywords;
+        if (existing?.length) return;
+
+        const keywords = await generateKeywords(summary);
+        if (keywords.length === 0) throw new Error(`No keywords generated for message ${mesId}`);
+
+        setSummaryKeywords(message, keywords, scene);
+        await getContext().saveChat();
+    },
+    lorebook: async ({ mesId, scene = false, title }) => {
+        const { storeToLorebook } = await import('./memory-manager.js');
+        const message = getContext().chat[mesId];
+        const summary = scene ? message?.extra?.tr_scene_summary : message?.extra?.tr_summary;
+        if (!summary) throw new Error(`Message ${mesId} has no ${scene ? 'scene ' : ''}summary`);
+
+        const keywords = scene ? message.extra.tr_scene_keywords : message.extra.tr_keywords;
+        const entry = await storeToLorebook(summary, keywords?.length ? keywords : null, {
+            type: scene ? 'scene' : 'message',
+            mesId,
+            title: title || (scene ? `Scene Summary (Messages ${message.extra.tr_scene_start}-${mesId})` : `Message ${mesId} Summary`)
+        });
+        if (!entry) throw new Error(`Failed to store message ${mesId} to lorebook`);
+    },
+};
+
+// Params holding message IDs, by job type. Their send_date is saved with the job, so a job still
+// finds its messages after earlier ones were deleted, and never runs against different ones.
+const MESSAGE_PARAMS = {
+    message: ['mesId'],
+    message_batch: ['mesIds'],
+    scene: ['startId', 'endId'],
+    keyword: ['mesId'],
+    lorebook: ['mesId'],
+};
+
+function createEmptyQueue() {
+    return { paused: false, nextId: 1, jobs: [] };
+}
+
+/**
+ * Get keys identifying what a job works on, used to avoid duplicate jobs
+ * A batch job covers one message key per message it summarizes
+ */
+function getJobKeys(type, params) {
+    if (type === 'scene') return [`scene:${params.startId}-${params.endId}`];
+    if (type === 'message_batch') return params.mesIds.map(mesId => `message:${mesId}`);
+    if (params.scene) return [`${type}:scene:${params.mesId}`];
+    return [`${type}:${params.mesId}`];
+}
+
+/**
+ * Keep only some of a batch job's messages (and their anchors)
+ */
+function narrowBatchJob(job, mesIds) {
+    const { mesIds: all, anchors } = job.params;
+    const kept = all.flatMap((mesId, i) => mesIds.includes(mesId) ? [i] : []);
+
+    job.params = { ...job.params, mesIds: kept.map(i => all[i]) };
+    if (anchors?.mesIds) {
+        job.params.anchors = { ...anchors, mesIds: kept.map(i => anchors.mesIds[i]) };
+    }
+}
+
+/**
+ * Add the send_date of every message a job works on to its params (as params.anchors)
+ */
+function anchorParams(type, params) {
+    const chat = getContext().chat || [];
+    const anchors = {};
+    for (const field of MESSAGE_PARAMS[type] || []) {
+        const value = params[field];
+        anchors[field] = Array.isArray(value)
+            ? value.map(mesId => chat[mesId]?.send_date ?? null)
+            : chat[value]?.send_date ?? null;
+    }
+    return { ...params, anchors };
+}
+
+/**
+ * Find a message by the send_date saved with a job
+ * Deleting earlier messages only moves a message down, so the search starts at its old ID.
+ * @returns {number} Current message ID, or -1 if the message is gone
+ */
+function findAnchoredMessage(mesId, sendDate) {
+    const chat = getContext().chat || [];
+    if (sendDate === null || sendDate === undefined) return chat[mesId] ? mesId : -1;
+
+    for (let i = Math.min(mesId, chat.length - 1); i >= 0; i--) {
+        if (chat[i].send_date === sendDate) return i;
+    }
+    return -1;
+}
+
+/**
+ * Point a job's message IDs at the messages it was queued for
+ * Jobs queued before anchors were saved keep their IDs.
+ * @returns {boolean} False if one of its messages was deleted
+ */
+function resolveJobMessages(job) {
+    const { anchors } = job.params;
+    if (!anchors) return true;
+
+    for (const field of MESSAGE_PARAMS[job.type] || []) {
+        const value = job.params[field];
+        const resolved = Array.isArray(value)
+            ? value.map((mesId, i) => findAnchoredMessage(mesId, anchors[field]?.[i]))
+            : findAnchoredMessage(value, anchors[field]);
+
+        if ([].concat(resolved).includes(-1)) return false;
+        job.params[field] = resolved;
+    }
+    return true;
+}
+
+/**
+ * Save queue state to chat metadata
+ */
+function saveQueue() {
+    const context = getContext();
+    if (context.chatId !== queueChatId) return;
+    if (!context.chatMetadata) {
+        context.chatMetadata = {};
+    }
+    context.chatMetadata.tr_job_queue = queue;
+    context.saveMetadata();
+}
+
+/**
+ * Load the queue for the current chat and resume any unfinished jobs
+ */
+export function loadJobQueue() {
+    const context = getContext();
+    queueChatId = context.chatId;
+    queue = context.chatMetadata?.tr_job_queue || createEmptyQueue();
+
+    // Jobs that were running when the page closed start over
+    for (const job of queue.jobs) {
+        if (job.status === 'running') job.status = 'pending';
+    }
+
+    const pending = queue.jobs.filter(j => j.status === 'pending').length;
+    console.log(`Token Reducer: Loaded job queue (${pending} pending${queue.paused ? ', paused' : ''})`);
+    renderQueueProgress();
+
+    if (pending > 0 && !queue.paused) {
+        notify("info", `Resuming ${pending} unfinished jobs`, 'Token Reducer');
+        processQueue();
+    }
+}
+
+/**
+ * Add jobs to the queue and start processing
+ * @param {Array<{type: string, params: Object}>} jobs - Jobs to add
+ * @returns {number} Number of jobs actually added (duplicates are skipped)
+ */
+export function enqueueJobs(jobs) {
+    const context = getContext();
+    if (context.chatId !== queueChatId) {
+        loadJobQueue();
+    }
+
+    const queuedKeys = new Set(queue.jobs
+        .filter(j => j.status === 'pending' || j.status === 'running')
+        .flatMap(j => getJobKeys(j.type, j.params)));
+
+    let added = 0;
+    for (const { type, params } of jobs) {
+        if (!jobHandlers[type]) {
+            console.warn('Token Reducer: Unknown job type:', type);
+            continue;
+        }
+
+        const keys = getJobKeys(type, params);
+        if (keys.some(key => queuedKeys.has(key))) continue;
+        keys.forEach(key => queuedKeys.add(key));
+
+        queue.jobs.push({
+            id: queue.nextId++,
+            type,
+            params: anchorParams(type, params),
+            status: 'pending',
+            createdAt: Date.now()
+        });
+        added++;
+    }
+
+    if (added > 0) {
+        saveQueue();
+        renderQueueProgress();
+        processQueue();
+    }
+
+    return added;
+}
+
+/**
+ * Add a single job to the queue
+ * @param {string} type - 'message', 'message_batch', 'scene', 'keyword' or 'lorebook'
+ * @param {Object} params - Job parameters (keyword and lorebook jobs: {mesId, scene, title})
+ */
+export function enqueueJob(type, params) {
+    return enqueueJobs([{ type, params }]);
+}
+
+/**
+ * Record work that failed outside the queue as a failed job, so it can be retried later
+ * Skipped if a job for the same target is already queued or failed
+ * @param {string} type - Job type
+ * @param {Object} params - Job parameters
+ * @param {string} error - Failure reason shown to the user
+ * @returns {boolean} True if a job was recorded
+ */
+export function recordFailedJob(type, params, error) {
+    const context = getContext();
+    if (context.chatId !== queueChatId) {
+        loadJobQueue();
+    }
+
+    const keys = getJobKeys(type, params);
+    const exists = queue.jobs.some(j => j.status !== 'done' && j.status !== 'cancelled'
+        && getJobKeys(j.type, j.params).some(key => keys.includes(key)));
+    if (exists) return false;
+
+    const now = Date.now();
+    queue.jobs.push({
+        id: queue.nextId++,
+        type,
+        params: anchorParams(type, params),
+        status: 'failed',
+        error,
+        createdAt: now,
+        finishedAt: now
+    });
+
+    saveQueue();
+    renderQueueProgress();
+    return true;
+}
+
+/**
+ * Check whether a job is already waiting for the given target
+ */
+export function isJobQueued(type, params) {
+    const [key] = getJobKeys(type, params);
+    return queue.jobs.some(j => (j.status === 'pending' || j.status === 'running') && getJobKeys(j.type, j.params).includes(key));
+}
+
+/**
+ * Get the last message covered by a scene job that is waiting or running
+ * @returns {number} -1 if no scene job is queued
+ */
+export function getQueuedSceneEnd() {
+    return queue.jobs
+        .filter(j => j.type === 'scene' && (j.status === 'pending' || j.status === 'running'))
+        .reduce((last, j) => Math.max(last, j.params.endId), -1);
+}
+
+/**
+ * Run pending jobs one at a time until the queue is empty, paused or the chat changes
+ */
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    const chatId = queueChatId;
+    const runStartedAt = Date.now();
+
+    try {
+        while (!queue.paused && getContext().chatId === chatId) {
+            const job = queue.jobs.find(j => j.status === 'pending');
+            if (!job) break;
+
+            if (!resolveJobMessages(job)) {
+                console.warn(`Token Reducer: Job ${job.id} (${job.type}) cancelled, its messages were deleted`);
+                job.status = 'cancelled';
+                job.finishedAt = Date.now();
+                saveQueue();
+                renderQueueProgress();
+                continue;
+            }
+
+            job.status = 'running';
+            job.startedAt = Date.now();
+            saveQueue();
+            renderQueueProgress();
+
+            try {
+                await jobHandlers[job.type](job.params, job);
+                // Cancelled while running - leave it cancelled
+                if (job.status === 'running') job.status = 'done';
+            } catch (err) {
+                if (interrupted && job.status === 'running') {
+                    // Stopped by the user - run it again on resume
+                    job.status = 'pending';
+                } else {
+                    console.error(`Token Reducer: Job ${job.id} (${job.type}) failed:`, err);
+                    if (job.status === 'running') {
+                        job.status = 'failed';
+                        job.error = err.message;
+                    }
+                }
+            }
+
+            if (job.status !== 'pending') job.finishedAt = Date.now();
+            saveQueue();
+            renderQueueProgress();
+            updateTokenDisplay();
+        }
+
+        if (getContext().chatId === chatId && !queue.paused) {
+            finishRun(runStartedAt);
+        }
+    } catch (err) {
+        // Callers don't wait for the queue, so report errors outside the job handlers here
+        console.error('Token Reducer: Job queue stopped:', err);
+        notify("error", `Job queue stopped: ${err.message}`, 'Token Reducer');
+    } finally {
+        processing = false;
+        interrupted = false;
+    }
+
+    // The chat changed while a job was running: the new chat's queue was loaded but couldn't start
+    if (queueChatId !== chatId) {
+        processQueue();
+    }
+}
+
+/**
+ * Report the result of a completed run and drop finished jobs
+ * @param {number} runStartedAt - Only jobs finished after this time are reported
+ */
+function finishRun(runStartedAt) {
+    const finished = queue.jobs.filter(j => j.finishedAt >= runStartedAt);
+    const done = finished.filter(j => j.status === 'done').length;
+    const failed = finished.filter(j => j.status === 'failed').length;
+    if (done === 0 && failed === 0) return;
+
+    // Keep failed jobs around so they can be retried
+    queue.jobs = queue.jobs.filter(j => j.status === 'failed');
+    saveQueue();
+    renderQueueProgress();
+
+    if (failed > 0) {
+        notify("warning", `Jobs finished: ${done} done, ${failed} failed`, 'Token Reducer');
+    } else {
+        notify("success", `Jobs finished: ${done} done`, 'Token Reducer');
+    }
+}
+
+/**
+ * Pause processing after the current job completes
+ */
+export function pauseQueue() {
+    queue.paused = true;
+    saveQueue();
+    renderQueueProgress();
+}
+
+/**
+ * Pause processing because the user stopped generation
+ * The job that was running goes back to pending, so resuming runs it again.
+ */
+export function interruptQueue() {
+    if (!processing || queue.paused) return;
+
+    interrupted = true;
+    pauseQueue();
+    notify("info", 'Job queue paused, resume it from the settings panel', 'Token Reducer');
+}
+
+/**
+ * Resume processing pending jobs
+ */
+export function resumeQueue() {
+    queue.paused = false;
+    saveQueue();
+    renderQueueProgress();
+    processQueue();
+}
+
+/**
+ * Cancel all pending jobs. The running job finishes but its result is not counted.
+ * Failed jobs are kept so they can still be retried.
+ * @returns {number} Number of jobs cancelled
+ */
+export function cancelQueue() {
+    let cancelled = 0;
+    for (const job of queue.jobs) {
+        if (job.status === 'pending' || job.status === 'running') {
+            job.status = 'cancelled';
+            cancelled++;
+        }
+    }
+
+    queue.jobs = queue.jobs.filter(j => j.status === 'failed');
+    queue.paused = false;
+    saveQueue();
+    renderQueueProgress();
+    return cancelled;
+}
+
+/**
+ * Move failed jobs back to pending and start processing
+ * @returns {number} Number of jobs retried
+ */
+export function retryFailedJobs() {
+    let retried = 0;
+    for (const job of queue.jobs) {
+        if (job.status === 'failed') {
+            job.status = 'pending';
+            delete job.error;
+            retried++;
+        }
+    }
+
+    if (retried > 0) {
+        saveQueue();
+        renderQueueProgress();
+        processQueue();
+    }
+    return retried;
+}
+
+/**
+ * Get queue counts for display
+ */
+export function getQueueStatus() {
+    const count = (status) => queue.jobs.filter(j => j.status === status).length;
+    const running = queue.jobs.find(j => j.status === 'running');
+
+    return {
+        paused: queue.paused,
+        pending: count('pending'),
+        running: running ? 1 : 0,
+        done: count('done'),
+        failed: count('failed'),
+        total: queue.jobs.length,
+        current: running ? getJobKeys(running.type, running.params).join(', ') : null
+    };
+}
+
+/**
+ * Render queue progress in the settings panel
+ */
+export function renderQueueProgress() {
+    const container = $('#tr_job_queue');
+    if (!container.length) return;
+
+    const status = getQueueStatus();
+    const active = status.pending + status.running;
+
+    if (status.total === 0) {
+        container.find('.tr-queue-text').text('No jobs queued');
+        container.find('.tr-queue-bar-fill').css('width', '0%');
+    } else {
+        const finished = status.done + status.failed;
+        const pct = Math.round((finished / status.total) * 100);
+        const parts = [`${finished}/${status.total} done`];
+        if (status.failed > 0) parts.push(`${status.failed} failed`);
+        if (status.paused) parts.push('paused');
+        else if (status.current) parts.push(`running ${status.current}`);
+
+        container.find('.tr-queue-text').text(parts.join(' · '));
+        container.find('.tr-queue-bar-fill').css('width', `${pct}%`);
+    }
+
+    $('#tr_queue_pause').toggle(active > 0 && !status.paused);
+    $('#tr_queue_resume').toggle(status.paused && active > 0);
+    $('#tr_queue_cancel').toggle(active > 0);
+    $('#tr_queue_retry').toggle(status.failed > 0 && active === 0);
+}
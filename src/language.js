@@ -0,0 +1,131 @@
+/**
+ * Summary Language - pick the language summaries are written in and check responses against it
+ * Detection is a lightweight script and stopword heuristic, no external service.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { settings } from "./settings.js";
+
+export const LANGUAGE_NAMES = {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ja: 'Japanese',
+    zh: 'Chinese',
+    ko: 'Korean',
+    ar: 'Arabic',
+    he: 'Hebrew',
+    el: 'Greek',
+    th: 'Thai',
+    hi: 'Hindi'
+};
+
+const SCRIPTS = {
+    kana: /[\u3040-\u30ff]/g,
+    han: /[\u4e00-\u9fff]/g,
+    hangul: /[\uac00-\ud7af]/g,
+    cyrillic: /[\u0400-\u04ff]/g,
+    arabic: /[\u0600-\u06ff]/g,
+    hebrew: /[\u0590-\u05ff]/g,
+    greek: /[\u0370-\u03ff]/g,
+    thai: /[\u0e00-\u0e7f]/g,
+    devanagari: /[\u0900-\u097f]/g,
+    latin: /[a-zA-Z\u00c0-\u024f]/g
+};
+
+const SCRIPT_LANGUAGES = { hangul: 'ko', arabic: 'ar', hebrew: 'he', greek: 'el', thai: 'th', devanagari: 'hi' };
+
+// Frequent short words that tell Latin-script languages apart
+const STOP_WORDS = {
+    en: ['the', 'and', 'is', 'was', 'to', 'of', 'you', 'he', 'she', 'it', 'that', 'in', 'with', 'his', 'her'],
+    es: ['el', 'la', 'los', 'las', 'que', 'y', 'de', 'en', 'un', 'una', 'es', 'por', 'con', 'su', 'del'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'que', 'pas', 'je', 'vous', 'il', 'elle', 'dans'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'ein', 'eine', 'zu', 'mit', 'auf', 'er', 'den'],
+    it: ['il', 'lo', 'la', 'che', 'e', 'di', 'un', 'una', 'non', 'per', 'sono', 'è', 'gli', 'del', 'lei'],
+    pt: ['o', 'a', 'os', 'as', 'que', 'e', 'de', 'um', 'uma', 'não', 'com', 'para', 'é', 'ele', 'ela']
+};
+
+const MIN_LETTERS = 12;
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Text to check
+ * @returns {string|null} Language code, or null when the text is too short or ambiguous
+ */
+export function detectLanguage(text) {
+    const counts = {};
+    let total = 0;
+    for (const [script, pattern] of Object.entries(SCRIPTS)) {
+        counts[script] = (text?.match(pattern) || []).length;
+        total += counts[script];
+    }
+    if (total < MIN_LETTERS) return null;
+
+    // Japanese mixes kana with kanji; kanji alone is Chinese
+    const cjk = counts.kana + counts.han;
+    const [script] = Object.entries({ ...counts, kana: 0, han: 0, cjk })
+        .sort((a, b) => b[1] - a[1])[0];
+
+    if (script === 'cjk') return counts.kana > 0 ? 'ja' : 'zh';
+    if (script === 'cyrillic') return /[іїєґ]/i.test(text) ? 'uk' : 'ru';
+    if (script !== 'latin') return SCRIPT_LANGUAGES[script] || null;
+
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    if (words.length < 5) return null;
+
+    const scores = Object.entries(STOP_WORDS)
+        .map(([code, list]) => [code, words.filter(word => list.includes(word)).length])
+        .sort((a, b) => b[1] - a[1]);
+
+    const [best, second] = scores;
+    if (best[1] < 2 || best[1] < second[1] * 1.5) return null;
+    return best[0];
+}
+
+/**
+ * Get the language summaries should be written in
+ * 'auto' detects it from the latest messages of the chat.
+ * @returns {{code: string, name: string}|null} Null when language control is off or detection failed
+ */
+export function getSummaryLanguage() {
+    const setting = settings.summary_language;
+    if (!setting) return null;
+
+    let code = setting;
+    if (setting === 'auto') {
+        const chat = getContext().chat || [];
+        const sample = chat
+            .filter(message => !message.is_system && message.mes)
+            .slice(-20)
+            .map(message => message.mes)
+            .join('\n');
+        code = detectLanguage(sample);
+    }
+
+    return code && LANGUAGE_NAMES[code] ? { code, name: LANGUAGE_NAMES[code] } : null;
+}
+
+/**
+ * Add a "write in <language>" instruction to a system prompt, unless it already names the language
+ * @param {string} prompt - System prompt
+ * @param {{code: string, name: string}|null} language - From getSummaryLanguage
+ */
+export function withLanguageInstruction(prompt, language) {
+    if (!language || (prompt || '').includes(language.name)) return prompt;
+    return `${prompt || ''}\n\nWrite your response in ${language.name}.`.trim();
+}
+
+/**
+ * Check that a response is in the expected language
+ * Responses too short or mixed to classify count as a match.
+ */
+export function matchesLanguage(text, language) {
+    if (!language) return true;
+    const detected = detectLanguage(text);
+    return !detected || detected === language.code;
+}
@@ -6,7 +6,10 @@ import { getContext, extension_settings } from "../../../../extensions.js";
 import { createWorldInfoEntry, createNewWorldInfo, METADATA_KEY, world_names, loadWorldInfo, saveWorldInfo, reloadEditor, updateWorldInfoList } from "../../../../world-info.js";
 import { chat_metadata, saveMetadata, setExtensionPrompt, extension_prompt_types, extension_prompt_roles } from "../../../../../script.js";
 import { settings, notify } from "./settings.js";
-import { generateKeywords, summarizeScene } from "./summarizer.js"; // Import summarizeScene
+import { generateKeywords, summarizeScene, summarizeRollup, recordSummaryVersion, sendTaskRequest, cleanSourceText, findExchangeStart } from "./summarizer.js"; // Import summarizeScene
+import { addVersion } from "./summary-history.js";
+import { renderPrompt } from "./prompt-template.js";
+import { enqueueJobs } from "./job-queue.js";
 
 const RETRIEVAL_INJECT_KEY = 'tr_retrieval_injection';
 
@@ -19,6 +22,14 @@ let lastSceneEnd = -1;
 // Chapter timeline data (stored in chat_metadata.tr_timeline)
 let timelineData = [];
 
+// Rollup levels above chapters (stored in chat_metadata.tr_arcs / tr_saga)
+let arcData = [];
+let sagaData = null;
+let rollupRunning = false;
+let rollupRerun = false; // Rollup requested while one was running
+let rollupEpoch = 0; // Bumped when rollups are invalidated or the chat changes, so a running rollup drops its results
+let timelineChatId = null;
+
 
 /**
  * Load memory data for current chat
@@ -39,6 +50,7 @@ export function loadMemoryData() {
                 type: 'message',
                 mesId: i,
                 summary: msg.extra.tr_summary,
+                keywords: msg.extra.tr_keywords || [],
                 timestamp: msg.extra.tr_summarized_at || Date.now()
             });
         }
@@ -49,6 +61,7 @@ export function loadMemoryData() {
                 mesId: i,
                 startId: msg.extra.tr_scene_start,
                 summary: msg.extra.tr_scene_summary,
+                keywords: msg.extra.tr_scene_keywords || [],
                 timestamp: msg.extra.tr_summarized_at || Date.now()
             });
             lastSceneEnd = i;
@@ -87,7 +100,13 @@ export function loadTimelineData() {
     } else {
         timelineData = [];
     }
-    console.log(`Token Reducer: Loaded ${timelineData.length} chapters from timeline`);
+    arcData = context.chatMetadata?.tr_arcs || [];
+    sagaData = context.chatMetadata?.tr_saga || null;
+    if (context.chatId !== timelineChatId) {
+        timelineChatId = context.chatId;
+        rollupEpoch++;
+    }
+    console.log(`Token Reducer: Loaded ${timelineData.length} chapters, ${arcData.length} arcs from timeline`);
     return timelineData;
 }
 
@@ -100,6 +119,8 @@ export function saveTimelineData() {
         context.chatMetadata = {};
     }
     context.chatMetadata.tr_timeline = timelineData;
+    context.chatMetadata.tr_arcs = arcData;
+    context.chatMetadata.tr_saga = sagaData;
     context.saveMetadata();
     console.log(`Token Reducer: Saved ${timelineData.length} chapters to timeline`);
 }
@@ -123,40 +144,164 @@ export function getChapter(chapterNumber) {
     return { ...timelineData[chapterNumber - 1], number: chapterNumber };
 }
 
+/**
+ * Insert a chapter at its place in message order
+ * Chapters inserted before the end invalidate the rollups that cover later chapters.
+ * @returns {number} The chapter number
+ */
+function insertChapter(chapter) {
+    let index = timelineData.findIndex(c => c.startMsgId > chapter.startMsgId);
+    if (index === -1) index = timelineData.length;
+
+    timelineData.splice(index, 0, chapter);
+    if (index < timelineData.length - 1) {
+        invalidateRollups(index + 1);
+    }
+    return index + 1;
+}
+
 /**
  * Add a new chapter to the timeline
  * @param {string} summary - The chapter summary
  * @param {number} startMsgId - Starting message ID
  * @param {number} endMsgId - Ending message ID
+ * @param {Object} version - How the summary was produced ({source, prompt}), recorded in the chapter history
+ * @returns {number} The chapter number
  */
-export function addChapter(summary, startMsgId, endMsgId) {
+export function addChapter(summary, startMsgId, endMsgId, version = { source: 'generated' }) {
     const newChapter = {
         summary,
         startMsgId,
-        endMsgId
+        endMsgId,
+        history: addVersion([], { ...version, summary }, settings.summary_history_limit)
     };
-    timelineData.push(newChapter);
+    const chapterNumber = insertChapter(newChapter);
     saveTimelineData();
     console.log('Token Reducer: Added chapter to timeline:', newChapter);
-    return timelineData.length; // Return the chapter number
+    scheduleRollup();
+
+    return chapterNumber;
+}
+
+/**
+ * Add a scene summary to the timeline, or update its chapter if the scene was summarized before
+ * Scenes are matched to chapters by their end message.
+ * @param {string} summary - The scene summary
+ * @param {number} startMsgId - First message of the scene
+ * @param {number} endMsgId - Last message of the scene
+ * @param {string} prompt - Prompt text the summary was generated with, kept in the chapter history
+ * @returns {number} The chapter number
+ */
+export function registerSceneChapter(summary, startMsgId, endMsgId, prompt = null) {
+    const version = { source: 'generated', prompt };
+    const index = timelineData.findIndex(c => c.endMsgId === endMsgId);
+    if (index === -1) {
+        return addChapter(summary, startMsgId, endMsgId, version);
+    }
+
+    timelineData[index].startMsgId = startMsgId;
+    updateChapter(index + 1, summary, version);
+    return index + 1;
+}
+
+/**
+ * Add chapters for scene summaries that are missing from the timeline
+ * Chats summarized before scenes were registered as chapters only have the tr_scene_end markers
+ * on their messages. Runs once per chat, so later deletes and shifted message IDs can't bring
+ * chapters back; existing chapters are never changed or removed.
+ * @returns {number} Number of chapters added
+ */
+export function reconcileTimeline() {
+    const context = getContext();
+    const chat = context.chat || [];
+    if (!context.chatId || context.chatMetadata?.tr_timeline_reconciled) return 0;
+
+    const known = new Set(timelineData.map(c => c.endMsgId));
+    let previousEnd = -1;
+    let added = 0;
+
+    for (let i = 0; i < chat.length; i++) {
+        const extra = chat[i].extra;
+        if (!extra?.tr_scene_end) continue;
+
+        const startMsgId = extra.tr_scene_start ?? previousEnd + 1;
+        previousEnd = i;
+        if (!extra.tr_scene_summary || extra.tr_chapter_removed || known.has(i)) continue;
+
+        insertChapter({
+            summary: extra.tr_scene_summary,
+            startMsgId,
+            endMsgId: i,
+            history: addVersion([], {
+                summary: extra.tr_scene_summary,
+                source: 'generated',
+                timestamp: extra.tr_summarized_at
+            }, settings.summary_history_limit)
+        });
+        added++;
+    }
+
+    if (!context.chatMetadata) {
+        context.chatMetadata = {};
+    }
+    context.chatMetadata.tr_timeline_reconciled = true;
+    saveTimelineData();
+
+    if (added > 0) {
+        console.log(`Token Reducer: Rebuilt ${added} chapters from scene markers`);
+        scheduleRollup();
+    }
+
+    return added;
 }
 
 /**
  * Update an existing chapter's summary
  * @param {number} chapterNumber - 1-indexed chapter number
  * @param {string} newSummary - The new summary text
+ * @param {Object} version - How the summary was produced ({source, prompt}), recorded in the chapter history
  */
-export function updateChapter(chapterNumber, newSummary) {
+export function updateChapter(chapterNumber, newSummary, version = { source: 'edited' }) {
     if (chapterNumber < 1 || chapterNumber > timelineData.length) {
         return false;
     }
-    timelineData[chapterNumber - 1].summary = newSummary;
+    const chapter = timelineData[chapterNumber - 1];
+
+    // Chapters created before history was kept start with their current summary
+    let history = chapter.history || [];
+    if (history.length === 0 && chapter.summary) {
+        history = addVersion(history, { summary: chapter.summary, source: 'generated' }, settings.summary_history_limit);
+    }
+    chapter.history = addVersion(history, { ...version, summary: newSummary }, settings.summary_history_limit);
+    chapter.summary = newSummary;
+    invalidateRollups(chapterNumber);
     saveTimelineData();
+    scheduleRollup();
     return true;
 }
 
+/**
+ * Get the summary versions recorded for a chapter, oldest first
+ * @param {number} chapterNumber - 1-indexed chapter number
+ */
+export function getChapterHistory(chapterNumber) {
+    const chapter = timelineData[chapterNumber - 1];
+    if (!chapter) return [];
+    return chapter.history?.length ? chapter.history : [{ summary: chapter.summary, source: 'generated', prompt: null, timestamp: null }];
+}
+
+/**
+ * Make an earlier version the chapter's current summary (recorded as a new 'reverted' version)
+ * @param {number} chapterNumber - 1-indexed chapter number
+ * @param {Object} version - Version from getChapterHistory
+ */
+export function revertChapter(chapterNumber, version) {
+    return updateChapter(chapterNumber, version.summary, { source: 'reverted', prompt: version.prompt });
+}
+
 /**
  * Remove a chapter from the timeline
+ * The scene marker on its end message is flagged, so the chapter is not rebuilt from it.
  * @param {number} chapterNumber - 1-indexed chapter number
  */
 export function removeChapter(chapterNumber) {
@@ -164,22 +309,189 @@ export function removeChapter(chapterNumber) {
         return null;
     }
     const removed = timelineData.splice(chapterNumber - 1, 1)[0];
+    invalidateRollups(chapterNumber);
     saveTimelineData();
+    scheduleRollup();
+
+    const context = getContext();
+    const endMessage = context.chat?.[removed.endMsgId];
+    if (endMessage?.extra?.tr_scene_end) {
+        endMessage.extra.tr_chapter_removed = true;
+        context.saveChat();
+    }
     console.log('Token Reducer: Removed chapter:', removed);
     return removed;
 }
 
+/**
+ * Format a single chapter line for the timeline
+ */
+function formatChapter(chapter, number) {
+    return `Chapter ${number} (Messages ${chapter.startMsgId}-${chapter.endMsgId}): ${chapter.summary}`;
+}
+
 /**
  * Get the timeline as formatted text for injection (like timeline-memory's {{timeline}})
+ * With rollup enabled, older chapters are swapped for arc and saga summaries until the timeline fits the token budget
  */
-export function getTimelineForInjection() {
+export async function getTimelineForInjection() {
     if (timelineData.length === 0) {
         return '';
     }
 
-    return timelineData.map((chapter, index) => {
-        return `Chapter ${index + 1} (Messages ${chapter.startMsgId}-${chapter.endMsgId}): ${chapter.summary}`;
-    }).join('\n\n');
+    // Finest level: one segment per chapter
+    let segments = timelineData.map((chapter, index) => ({
+        level: 'chapter',
+        firstChapter: index + 1,
+        text: formatChapter(chapter, index + 1)
+    }));
+
+    const budget = settings.injection_token_budget || 0;
+    if (!settings.enable_rollup || budget <= 0 || arcData.length === 0) {
+        return segments.map(s => s.text).join('\n\n');
+    }
+
+    const context = getContext();
+    const countTokens = async (list) => context.getTokenCountAsync(list.map(s => s.text).join('\n\n'));
+    const protectedFrom = timelineData.length - (settings.rollup_recent_chapters || 0) + 1;
+
+    // Coarsen the oldest material first: chapters -> arcs
+    for (let a = 0; a < arcData.length && await countTokens(segments) > budget; a++) {
+        const arc = arcData[a];
+        if (arc.endChapter >= protectedFrom) break;
+
+        segments = [
+            ...segments.filter(s => s.firstChapter < arc.startChapter),
+            { level: 'arc', firstChapter: arc.startChapter, text: `Arc ${a + 1} (Chapters ${arc.startChapter}-${arc.endChapter}): ${arc.summary}` },
+            ...segments.filter(s => s.firstChapter > arc.endChapter)
+        ];
+    }
+
+    // Then arcs -> saga
+    if (sagaData && await countTokens(segments) > budget) {
+        const sagaEndChapter = arcData[sagaData.endArc - 1]?.endChapter || 0;
+        if (sagaEndChapter > 0 && sagaEndChapter < protectedFrom) {
+            segments = [
+                { level: 'saga', firstChapter: 1, text: `Saga (Chapters 1-${sagaEndChapter}): ${sagaData.summary}` },
+                ...segments.filter(s => s.firstChapter > sagaEndChapter)
+            ];
+        }
+    }
+
+    return segments.map(s => s.text).join('\n\n');
+}
+
+/**
+ * Get the arc summaries (groups of chapters)
+ * @returns {Array<{summary: string, startChapter: number, endChapter: number}>}
+ */
+export function getArcs() {
+    return [...arcData];
+}
+
+/**
+ * Get the saga summary (rollup of all arcs), if one exists
+ * @returns {{summary: string, endArc: number}|null}
+ */
+export function getSaga() {
+    return sagaData ? { ...sagaData } : null;
+}
+
+/**
+ * Drop arcs (and the saga) that include a chapter which changed or was removed
+ * @param {number} chapterNumber - 1-indexed chapter number
+ */
+function invalidateRollups(chapterNumber) {
+    const before = arcData.length;
+    arcData = arcData.filter(arc => arc.endChapter < chapterNumber);
+
+    // The saga folds in every arc it covers, so it is rebuilt from the remaining ones
+    if (sagaData && sagaData.endArc > arcData.length) {
+        sagaData = null;
+    }
+
+    // A running rollup may be summarizing this chapter even if no arc covers it yet
+    rollupEpoch++;
+    if (arcData.length !== before) {
+        console.log(`Token Reducer: Invalidated ${before - arcData.length} arcs from chapter ${chapterNumber}`);
+    }
+}
+
+/**
+ * Run a background rollup if enabled, or once the running one finishes
+ */
+function scheduleRollup() {
+    if (!settings.enable_rollup) return;
+    if (rollupRunning) {
+        rollupRerun = true;
+        return;
+    }
+    rollupTimeline().catch(err => console.error('Token Reducer: Timeline rollup failed:', err));
+}
+
+/**
+ * Roll completed chapters up into arcs, and arcs up into the saga
+ * The saga is created once rollup_saga_size arcs exist, and every later arc is folded in as soon as it is created.
+ * @returns {Promise<{arcs: number, saga: boolean}>} What was created
+ */
+export async function rollupTimeline() {
+    const result = { arcs: 0, saga: false };
+    if (rollupRunning) return result;
+
+    const arcSize = settings.rollup_arc_size || 5;
+    const sagaSize = settings.rollup_saga_size || 3;
+
+    rollupRunning = true;
+    rollupRerun = false;
+    const epoch = rollupEpoch;
+    try {
+        // Chapters -> arcs
+        let nextChapter = (arcData[arcData.length - 1]?.endChapter || 0) + 1;
+        while (timelineData.length - nextChapter + 1 >= arcSize) {
+            const endChapter = nextChapter + arcSize - 1;
+            const chapters = timelineData.slice(nextChapter - 1, endChapter);
+            const summary = await summarizeRollup(chapters.map((c, i) => formatChapter(c, nextChapter + i)), 'arc');
+            // Chapters changed (or the chat switched) while waiting: this arc is stale
+            if (!summary || epoch !== rollupEpoch) break;
+
+            arcData.push({
+                summary,
+                startChapter: nextChapter,
+                endChapter,
+                startMsgId: chapters[0].startMsgId,
+                endMsgId: chapters[chapters.length - 1].endMsgId
+            });
+            saveTimelineData();
+            result.arcs++;
+            nextChapter = endChapter + 1;
+        }
+
+        // Arcs -> saga, folding the previous saga in with the arcs it doesn't cover yet
+        const coveredArcs = sagaData?.endArc || 0;
+        if (epoch === rollupEpoch && arcData.length > coveredArcs && arcData.length >= sagaSize) {
+            const parts = arcData.slice(coveredArcs).map((arc, i) => `Arc ${coveredArcs + i + 1}: ${arc.summary}`);
+            if (sagaData) parts.unshift(`Story so far: ${sagaData.summary}`);
+
+            const summary = await summarizeRollup(parts, 'saga');
+            if (summary && epoch === rollupEpoch) {
+                sagaData = { summary, endArc: arcData.length };
+                saveTimelineData();
+                result.saga = true;
+            }
+        }
+    } finally {
+        rollupRunning = false;
+    }
+
+    // Chapters changed during the rollup: redo what was dropped
+    if (rollupRerun || epoch !== rollupEpoch) {
+        scheduleRollup();
+    }
+
+    if (result.arcs > 0 || result.saga) {
+        console.log(`Token Reducer: Rollup created ${result.arcs} arcs${result.saga ? ' and updated the saga' : ''}`);
+    }
+    return result;
 }
 
 /**
@@ -206,9 +518,21 @@ export async function storeMemory(summary, keywords = null, options = {}) {
     };
     memoryCache.push(memory);
 
-    // Store to lorebook if enabled
-    if (settings.storage_mode === 'lorebook' || settings.storage_mode === 'both') {
-        await storeToLorebook(summary, keywords, options);
+    // The next arc analyzer chapter starts after this scene
+    if (memory.type === 'scene' && memory.mesId > lastSceneEnd) {
+        lastSceneEnd = memory.mesId;
+    }
+
+    // Store to lorebook if enabled (options.lorebook = false skips it for this memory)
+    if (options.lorebook !== false && (settings.storage_mode === 'lorebook' || settings.storage_mode === 'both')) {
+        if ((memory.type === 'message' || memory.type === 'scene') && Number.isInteger(options.mesId)) {
+            // Summaries of chat messages are written in the background, after their keywords if those are missing
+            const params = { mesId: options.mesId, scene: memory.type === 'scene', title: options.title };
+            const jobs = keywords?.length ? [] : [{ type: 'keyword', params }];
+            enqueueJobs([...jobs, { type: 'lorebook', params }]);
+        } else {
+            await storeToLorebook(summary, keywords, options);
+        }
     }
 
     return memory;
@@ -264,8 +588,7 @@ async function getOrCreateLorebook() {
             }
 
             const charName = context.name2 || 'Unknown';
-            let bookName = settings.lorebook_name_template
-                .replace('{{char}}', charName)
+            let bookName = renderPrompt(settings.lorebook_name_template, { char: charName })
                 .replace(/[\/\\:*?"<>|]/g, '_') // Sanitize for filesystem
                 .replace(/_{2,}/g, '_')
                 .substring(0, 60);
@@ -378,7 +701,7 @@ async function getOrCreateLorebook() {
 /**
  * Store a memory as a lorebook entry
  */
-async function storeToLorebook(summary, keywords, options = {}) {
+export async function storeToLorebook(summary, keywords, options = {}) {
     console.log('Token Reducer: storeToLorebook START');
     console.log('Token Reducer: summary length:', summary?.length);
     console.log('Token Reducer: keywords:', keywords);
@@ -495,7 +818,7 @@ export async function retrieveRelevantMemories(queryText = null) {
     // Smart Retrieval: Generate query using LLM if enabled
     if (settings.enable_llm_retrieval && !queryText) {
         // Use last 10 messages for context
-        const history = chat.slice(-10).map(m => `${m.name}: ${m.mes}`).join('\n');
+        const history = chat.slice(-10).map(m => `${m.name}: ${cleanSourceText(m.mes)}`).join('\n');
         const llmQuery = await generateRetrievalQuery(history);
         if (llmQuery) {
             console.log(`Token Reducer: Generated retrieval query: "${llmQuery}"`);
@@ -585,29 +908,69 @@ export async function injectMemoriesIntoContext() {
 
 /**
  * Get messages that should be replaced with summaries in context
+ * The most recent keep_recent_count messages are always left intact
+ * @param {Array} chat - Chat array to scan (defaults to the current chat)
+ * @returns {Array<{index: number, originalLength: number, summaryLength: number, summary: string|null, coveredBy?: number}>}
+ *   Summary is null for user messages covered by the exchange summary of reply coveredBy
  */
-export function getMessagesForReplacement() {
+export function getMessagesForReplacement(chat = getContext().chat) {
     if (!settings.replace_with_summary) return [];
 
-    const context = getContext();
-    const chat = context.chat;
     const replacements = [];
+    const keepRecent = settings.keep_recent_count || 0;
 
-    for (let i = 0; i < chat.length; i++) {
+    for (let i = 0; i < chat.length - keepRecent; i++) {
         const msg = chat[i];
-        if (msg.extra?.tr_summary && !msg.is_system) {
+        if (msg?.extra?.tr_summary && !msg.is_system) {
             replacements.push({
-                mesId: i,
+                index: i,
                 originalLength: msg.mes.length,
                 summaryLength: msg.extra.tr_summary.length,
                 summary: msg.extra.tr_summary
             });
+
+            // An exchange summary also stands in for the user message the reply answers
+            const start = msg.extra.tr_exchange_start !== undefined ? findExchangeStart(i, chat) : -1;
+            if (start !== -1) {
+                replacements.push({
+                    index: start,
+                    originalLength: chat[start].mes.length,
+                    summaryLength: 0,
+                    summary: null,
+                    coveredBy: i
+                });
+            }
         }
     }
 
     return replacements;
 }
 
+/**
+ * Swap summarized messages for their summaries in a prompt chat array
+ * Replaced messages are cloned first so the stored chat is never modified. User messages
+ * covered by an exchange summary are dropped, since the reply's summary already includes them.
+ * @param {Array} chat - The chat array being assembled into the prompt
+ * @returns {number} Number of messages replaced or dropped
+ */
+export function applySummaryReplacements(chat) {
+    const replacements = getMessagesForReplacement(chat);
+
+    for (const { index, summary } of replacements) {
+        if (summary === null) continue;
+        chat[index] = structuredClone(chat[index]);
+        chat[index].mes = summary;
+    }
+
+    // Remove from the end so earlier indices stay valid
+    const dropped = replacements.filter(r => r.summary === null).map(r => r.index).sort((a, b) => b - a);
+    for (const index of dropped) {
+        chat.splice(index, 1);
+    }
+
+    return replacements.length;
+}
+
 /**
  * Get the last scene end position
  */
@@ -643,13 +1006,23 @@ export async function importMemories(jsonData) {
 
         // Merge with existing memories (avoid duplicates by mesId)
         const existingIds = new Set(memoryCache.map(m => m.mesId));
+        const chat = getContext().chat;
+        let historyChanged = false;
 
         for (const memory of data.memories) {
             if (!existingIds.has(memory.mesId)) {
                 memoryCache.push(memory);
+            } else if (memory.type === 'message' && memory.summary && chat[memory.mesId]?.extra?.tr_summary) {
+                // Keep imported summaries for already summarized messages as versions that can be reverted to
+                recordSummaryVersion(chat[memory.mesId], memory.summary, { source: 'imported' });
+                historyChanged = true;
             }
         }
 
+        if (historyChanged) {
+            await getContext().saveChat();
+        }
+
         notify("success", `Imported ${data.memories.length} memories`, 'Token Reducer');
         return data.memories.length;
     } catch (err) {
@@ -664,14 +1037,10 @@ export async function importMemories(jsonData) {
 async function generateSummary(text) {
     if (!text || !text.trim()) return null;
 
-    const prompt = settings.summary_prompt.replace('{{content}}', text);
+    const prompt = renderPrompt(settings.summary_prompt, { content: text });
 
     try {
-        const result = await ConnectionManagerRequestService.sendRequest(
-            settings.summarization_profile,
-            [{ role: 'user', content: prompt }]
-        );
-        return result?.content || result;
+        return await sendTaskRequest('message', [{ role: 'user', content: prompt }]);
     } catch (err) {
         console.error('Token Reducer: Summary generation failed', err);
         return null;
@@ -698,7 +1067,7 @@ async function performArcAnalysis() {
         messages.push({
             id: i,
             name: chat[i].name,
-            text: chat[i].mes
+            text: cleanSourceText(chat[i].mes)
         });
     }
 
@@ -709,24 +1078,14 @@ async function performArcAnalysis() {
         `[ID: ${m.id}] ${m.name}: ${m.text.substring(0, 300)}`
     ).join('\n');
 
-    // Get timeline summary for context
-    const timeline = getChapterTimeline().map(c => `Chapter ${c.id}: ${c.summary}`).join('\n\n');
-    let prompt = settings.arc_analyzer_prompt_template.replace('{{chapterHistory}}', historyText);
-    prompt = prompt.replace('{{timeline}}', timeline);
+    // {{timeline}} (chapter summaries so far) is filled by the template engine
+    const prompt = renderPrompt(settings.arc_analyzer_prompt_template, { chapterHistory: historyText });
 
     try {
         notify('info', 'Analyzing story arcs...', 'Token Reducer');
 
-        // Use summarization profile (or arc profile if we added it, but let's reuse summarization for simplicity)
-        const profile = settings.summarization_profile;
-        if (!profile) throw new Error('No summarization profile selected in settings.');
-
-        const response = await ConnectionManagerRequestService.sendRequest(
-            profile,
-            [{ role: 'user', content: prompt }]
-        );
-
-        const content = response?.content || response;
+        // Arc profile, falling back to the summarization profile
+        const content = await sendTaskRequest('arc', [{ role: 'user', content: prompt }], { language: null });
         console.log('Token Reducer: Arc Analysis Response:', content);
 
         // Robust JSON extraction
@@ -849,13 +1208,10 @@ export async function analyzeAndShowArcs() {
  * Generate a search query for retrieval using LLM
  */
 async function generateRetrievalQuery(chatHistory) {
-    const prompt = settings.retrieval_query_prompt.replace('{{content}}', chatHistory);
+    const prompt = renderPrompt(settings.retrieval_query_prompt, { content: chatHistory });
     try {
-        const result = await ConnectionManagerRequestService.sendRequest(
-            settings.summarization_profile,
-            [{ role: 'user', content: prompt }]
-        );
-        return (result?.content || result || '').trim();
+        const result = await sendTaskRequest('retrieval', [{ role: 'user', content: prompt }], { language: null });
+        return result.trim();
     } catch (err) {
         console.error('Token Reducer: Retrieval query generation failed', err);
         return null;
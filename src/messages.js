@@ -4,8 +4,9 @@
 
 import { getContext } from "../../../../extensions.js";
 import { settings, notify } from "./settings.js";
-import { summarizeMessage, summarizeScene, findLastSceneEnd, isMessageSummarized, isSceneEnd, getMessageSummary } from "./summarizer.js";
+import { summarizeMessage, summarizeScene, findLastSceneEnd, isMessageSummarized, isSceneEnd, getMessageSummary, setMessageSummary, getMessageSummaryHistory, revertMessageSummary, stopGeneration } from "./summarizer.js";
 import { updateTokenDisplay } from "./token-tracker.js";
+import { showHistoryPopup, escapeHtml } from "./summary-history.js";
 
 /**
  * Handle message rendered event
@@ -110,6 +111,12 @@ function updateButtonStates(messageElement, mesId) {
     const sceneBtn = messageElement.find('.tr-scene-btn');
     if (sceneEnd) {
         sceneBtn.addClass('tr-done').attr('title', 'Scene end (click to view summary)');
+
+        // Warn about scene summaries flagged by the faithfulness check
+        const faithfulness = getContext().chat[mesId]?.extra?.tr_scene_faithfulness;
+        if (faithfulness && !faithfulness.faithful) {
+            sceneBtn.addClass('tr-flagged').attr('title', `Scene end - possibly unfaithful summary (not stored to lorebook): ${faithfulness.issues.join('; ')}`);
+        }
     }
 }
 
@@ -132,10 +139,18 @@ function addSummaryDisplay(messageElement, mesId) {
         statusClass = 'tr-summary-active';
     }
 
+    // Warn about summaries flagged by the faithfulness check
+    const faithfulness = message?.extra?.tr_faithfulness;
+    const warningBadge = faithfulness && !faithfulness.faithful
+        ? `<span class="tr-summary-warning fa-solid fa-triangle-exclamation" title="${escapeHtml('Possibly unfaithful summary (not stored to lorebook): ' + faithfulness.issues.join('; '))}"></span>`
+        : '';
+
     const display = $(`
         <div class="tr-summary-display ${statusClass}">
+            ${warningBadge}
             <span class="tr-summary-label">Summary:</span>
             <span class="tr-summary-text">${escapeHtml(summary)}</span>
+            <span class="tr-summary-history fa-solid fa-clock-rotate-left" title="Summary history"></span>
             <span class="tr-summary-edit fa-solid fa-pen-to-square" title="Edit summary"></span>
         </div>
     `);
@@ -146,9 +161,57 @@ function addSummaryDisplay(messageElement, mesId) {
         editSummary(mesId, summary);
     });
 
+    // History handler
+    display.find('.tr-summary-history').on('click', function (e) {
+        e.stopPropagation();
+        showMessageHistory(mesId);
+    });
+
     messageElement.find('.mes_text').after(display);
 }
 
+/**
+ * Show a summary while it is still being generated, with a stop button
+ * @param {number} mesId - Message ID
+ * @param {string} text - Partial summary generated so far
+ */
+export function showSummaryPreview(mesId, text) {
+    const messageElement = $(`.mes[mesid="${mesId}"]`);
+    if (!messageElement.length) return;
+
+    let display = messageElement.find('.tr-summary-display');
+    if (!display.hasClass('tr-summary-streaming')) {
+        display.remove();
+        display = $(`
+            <div class="tr-summary-display tr-summary-streaming">
+                <span class="tr-summary-label">Summarizing:</span>
+                <span class="tr-summary-text"></span>
+                <span class="tr-summary-stop fa-solid fa-circle-stop" title="Stop generation"></span>
+            </div>
+        `);
+
+        display.find('.tr-summary-stop').on('click', function (e) {
+            e.stopPropagation();
+            stopGeneration();
+        });
+
+        messageElement.find('.mes_text').after(display);
+    }
+
+    display.find('.tr-summary-text').text(text);
+}
+
+/**
+ * Remove the live preview and show the stored summary again (if any)
+ * @param {number} mesId - Message ID
+ */
+export function clearSummaryPreview(mesId) {
+    const messageElement = $(`.mes[mesid="${mesId}"]`);
+    if (!messageElement.find('.tr-summary-streaming').length) return;
+
+    addSummaryDisplay(messageElement, mesId);
+}
+
 /**
  * Edit a message summary
  */
@@ -165,9 +228,7 @@ async function editSummary(mesId, currentSummary) {
     const context = getContext();
     const message = context.chat[mesId];
 
-    if (!message.extra) message.extra = {};
-    message.extra.tr_summary = result;
-    message.extra.tr_summarized_at = Date.now();
+    setMessageSummary(message, result, { exchangeStart: message.extra?.tr_exchange_start }, { source: 'edited' });
 
     await context.saveChat();
 
@@ -179,6 +240,22 @@ async function editSummary(mesId, currentSummary) {
     notify("success", 'Summary updated', 'Token Reducer');
 }
 
+/**
+ * Show the summary version history for a message, with diffs and revert
+ */
+async function showMessageHistory(mesId) {
+    await showHistoryPopup(
+        `Summary History (Message ${mesId})`,
+        () => ({ versions: getMessageSummaryHistory(mesId), current: getMessageSummary(mesId) }),
+        async (version) => {
+            await revertMessageSummary(mesId, version);
+            addSummaryDisplay($(`.mes[mesid="${mesId}"]`), mesId);
+            updateTokenDisplay();
+            notify("success", 'Summary reverted', 'Token Reducer');
+        }
+    );
+}
+
 /**
  * Reset all message buttons (e.g., after chat change)
  */
@@ -192,15 +269,6 @@ export function resetMessageButtons() {
     });
 }
 
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 /**
  * Apply collapse state to summarized messages based on settings
  */
@@ -0,0 +1,129 @@
+/**
+ * Summary Post-Processing - clean model output before it is stored or injected
+ */
+
+/**
+ * Remove markdown formatting (headers, emphasis, bullets, quotes, rules, code marks)
+ */
+export function stripMarkdown(text) {
+    return text
+        .replace(/^\s*#{1,6}\s*/gm, '')
+        .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1$2')
+        .replace(/(^|[^\w_])_(?!\s)([^_\n]+?)_(?!\w)/g, '$1$2')
+        .replace(/`+/g, '');
+}
+
+/**
+ * Remove echoed labels such as "Summary:" at the start of lines
+ * Only a whole label followed by a colon matches, so "Summary of events:" and "Summarys" are kept.
+ * @param {string} text - Text to clean
+ * @param {string[]} labels - Labels to strip (case-insensitive)
+ */
+export function stripLabels(text, labels) {
+    const escaped = labels
+        .map(l => l.trim())
+        .filter(Boolean)
+        .map(l => l.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (escaped.length === 0) return text;
+
+    const pattern = new RegExp(`^\\s*(?:${escaped.join('|')})\\b\\s*:\\s*`, 'gim');
+    return text.replace(pattern, '');
+}
+
+/**
+ * Split a "Keywords: a, b" line off a summary
+ * Only an explicit label counts; an unlabelled comma list can't be told apart from a normal sentence.
+ * @param {string} text - Summary text
+ * @returns {{text: string, keywords: string[]}}
+ */
+export function extractTrailingKeywords(text) {
+    const labelled = text.match(/^\s*(?:key\s*words?|tags)\s*:\s*(.+)$/im);
+    if (!labelled) return { text, keywords: [] };
+
+    return {
+        text: text.replace(labelled[0], '').trim(),
+        keywords: labelled[1]
+            .split(',')
+            .map(k => k.trim().replace(/[.;]+$/, '').trim())
+            .filter(k => k.length > 0)
+    };
+}
+
+/**
+ * Collapse repeated spaces and blank lines, and trim every line
+ */
+export function normalizeWhitespace(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Truncate text to a token limit, cutting at a sentence boundary where possible
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token limit
+ * @param {Function} countTokens - Async token counter
+ */
+export async function truncateToTokens(text, maxTokens, countTokens) {
+    if (await countTokens(text) <= maxTokens) return text;
+
+    const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]?|$)/g) || [text];
+    let result = '';
+
+    for (const sentence of sentences) {
+        const candidate = result + sentence;
+        if (await countTokens(candidate.trim()) > maxTokens) break;
+        result = candidate;
+    }
+
+    if (result.trim()) return result.trim();
+
+    // A single sentence is already too long - cut by words
+    const words = text.split(/\s+/);
+    let cut = '';
+    for (const word of words) {
+        const candidate = cut ? `${cut} ${word}` : word;
+        if (await countTokens(candidate) > maxTokens) break;
+        cut = candidate;
+    }
+    return cut ? `${cut}...` : '';
+}
+
+/**
+ * Run the post-processing pipeline on a generated summary
+ * @param {string} text - Raw summary text
+ * @param {Object} options - Pipeline steps to run
+ * @param {boolean} [options.stripMarkdown]
+ * @param {string[]} [options.labels] - Labels to strip
+ * @param {boolean} [options.extractKeywords]
+ * @param {boolean} [options.normalizeWhitespace]
+ * @param {number} [options.maxTokens] - 0 disables truncation
+ * @param {Function} [options.countTokens] - Async token counter, required for truncation
+ * @returns {Promise<{text: string, keywords: string[]}>}
+ */
+export async function postProcessSummary(text, options = {}) {
+    let result = text || '';
+    let keywords = [];
+
+    if (options.stripMarkdown) result = stripMarkdown(result);
+    if (options.labels?.length) result = stripLabels(result, options.labels);
+
+    if (options.extractKeywords) {
+        ({ text: result, keywords } = extractTrailingKeywords(result.trim()));
+    }
+
+    if (options.normalizeWhitespace) result = normalizeWhitespace(result);
+
+    if (options.maxTokens > 0 && options.countTokens) {
+        result = await truncateToTokens(result, options.maxTokens, options.countTokens);
+    }
+
+    return { text: result.trim(), keywords };
+}
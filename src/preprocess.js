@@ -0,0 +1,122 @@
+/**
+ * Source Preprocessing - clean chat messages before they are sent to be summarized
+ */
+
+/**
+ * Remove reasoning blocks such as <think>...</think>, including an unclosed block at the end
+ */
+export function stripReasoning(text) {
+    return text
+        .replace(/<(think|thinking|reasoning)>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<(think|thinking|reasoning)>[\s\S]*$/i, '');
+}
+
+/**
+ * Remove HTML: style, script and collapsed <details> blocks and comments are dropped entirely,
+ * other tags are removed but keep their text
+ */
+export function stripHtml(text) {
+    return text
+        .replace(/<(style|script|details)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<\/?[a-z][\w-]*(?:\s[^<>]*)?\/?>/gi, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Remove fenced code blocks (``` or ~~~), where stat blocks and status cards usually live
+ */
+export function stripCodeBlocks(text) {
+    return text.replace(/^\s*(```|~~~)[^\n]*\n[\s\S]*?^\s*\1\s*$/gm, '');
+}
+
+/**
+ * Remove out-of-character asides: ((double parentheses)), (OOC: ...) and [OOC: ...]
+ */
+export function stripOoc(text) {
+    return text
+        .replace(/\(\([\s\S]*?\)\)/g, '')
+        .replace(/\(\s*OOC\s*:[^)]*\)/gi, '')
+        .replace(/\[\s*OOC\s*:[^\]]*\]/gi, '')
+        .replace(/^\s*OOC\s*:.*$/gim, '');
+}
+
+/**
+ * Parse user-defined regex rules, one per line: /pattern/flags or /pattern/flags => replacement
+ * Blank lines and lines starting with # are ignored. Rules always replace every match.
+ * @param {string} text - Rules text from settings
+ * @returns {{rules: Array<{pattern: RegExp, replacement: string}>, errors: string[]}}
+ */
+export function parseRegexRules(text) {
+    const rules = [];
+    const errors = [];
+
+    (text || '').split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const match = trimmed.match(/^\/(.+?)\/([a-z]*)(?:\s*=>\s*(.*))?$/);
+        if (!match) {
+            errors.push(`Line ${index + 1}: expected /pattern/flags`);
+            return;
+        }
+
+        const [, source, flags, replacement = ''] = match;
+        try {
+            rules.push({
+                pattern: new RegExp(source, flags.includes('g') ? flags : `${flags}g`),
+                replacement
+            });
+        } catch (err) {
+            errors.push(`Line ${index + 1}: ${err.message}`);
+        }
+    });
+
+    return { rules, errors };
+}
+
+/**
+ * Collapse the blank lines and repeated spaces left behind by removed blocks
+ */
+function tidy(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/(\S)[ \t]{2,}/g, '$1 ').trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Run the preprocessing pipeline on a message before it is summarized
+ * Reasoning goes first so HTML inside it is removed with it, regex rules run last on the cleaned text.
+ * @param {string} text - Message text
+ * @param {Object} options - Pipeline steps to run
+ * @param {boolean} [options.stripReasoning]
+ * @param {boolean} [options.stripHtml]
+ * @param {boolean} [options.stripCodeBlocks]
+ * @param {boolean} [options.stripOoc]
+ * @param {Array<{pattern: RegExp, replacement: string}>} [options.rules] - From parseRegexRules
+ * @returns {string} The cleaned text
+ */
+export function preprocessSource(text, options = {}) {
+    let result = text || '';
+
+    if (options.stripReasoning) result = stripReasoning(result);
+    if (options.stripCodeBlocks) result = stripCodeBlocks(result);
+    if (options.stripHtml) result = stripHtml(result);
+    if (options.stripOoc) result = stripOoc(result);
+
+    for (const { pattern, replacement } of options.rules || []) {
+        result = result.replace(pattern, replacement);
+    }
+
+    return tidy(result);
+}
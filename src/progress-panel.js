@@ -0,0 +1,45 @@
+/**
+ * Streaming Progress Panel - live preview of long summaries (scenes, chunks, rollups) with a stop button
+ */
+
+import { stopGeneration } from "./summarizer.js";
+
+const PANEL_ID = 'tr_progress_panel';
+
+/**
+ * Show or update the progress panel with the partial summary
+ * @param {string} title - What is being summarized (e.g. "Scene 10-40 · chunk 2/3")
+ * @param {string} text - Partial text generated so far
+ */
+export function showProgressPanel(title, text) {
+    let panel = $(`#${PANEL_ID}`);
+
+    if (!panel.length) {
+        panel = $(`
+            <div id="${PANEL_ID}" class="tr-progress-panel">
+                <div class="tr-progress-header">
+                    <span class="tr-progress-title"></span>
+                    <button class="menu_button tr-progress-stop" title="Stop generation">
+                        <i class="fa-solid fa-stop"></i> Stop
+                    </button>
+                </div>
+                <div class="tr-progress-text"></div>
+            </div>
+        `);
+        panel.find('.tr-progress-stop').on('click', () => stopGeneration());
+        $('body').append(panel);
+    }
+
+    panel.find('.tr-progress-title').text(title);
+
+    const textElement = panel.find('.tr-progress-text');
+    textElement.text(text);
+    textElement.scrollTop(textElement[0].scrollHeight);
+}
+
+/**
+ * Remove the progress panel
+ */
+export function hideProgressPanel() {
+    $(`#${PANEL_ID}`).remove();
+}
@@ -0,0 +1,141 @@
+/**
+ * Prompt Templates - one engine for every prompt: extension macros, {{#if}} conditionals and SillyTavern macros
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { getChapterTimeline } from "./memory-manager.js";
+import { getSummaryLanguage } from "./language.js";
+
+// Macros filled by the extension (SillyTavern's own macros also work)
+export const PROMPT_MACROS = {
+    content: 'The text being summarized',
+    char: 'Character name',
+    user: 'User name',
+    persona: 'User persona description',
+    timeline: 'Chapter summaries so far',
+    lastSummary: 'Most recent message summary',
+    chapterNumber: 'Number of the chapter being written',
+    targetLength: 'Target summary length in words',
+    language: 'Summary language (empty when language control is off)',
+    chapterHistory: 'Messages with their IDs (arc analyzer)',
+    timelineResponses: 'Retrieved context (injection template)'
+};
+
+const CONDITIONAL_PATTERN = /\{\{#if\s+(\w+)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/;
+
+/**
+ * Get the most recent message summary before a message
+ * @param {number} [beforeMesId] - Defaults to the end of the chat
+ */
+function findLastSummary(beforeMesId) {
+    const chat = getContext().chat || [];
+    for (let i = Math.min(beforeMesId ?? chat.length, chat.length) - 1; i >= 0; i--) {
+        if (chat[i]?.extra?.tr_summary) return chat[i].extra.tr_summary;
+    }
+    return '';
+}
+
+/**
+ * Build the macro values, with explicit values taking precedence over the defaults
+ * @param {Object} values - Macro values for this prompt (a beforeMesId value limits {{lastSummary}})
+ */
+function getMacroValues(values) {
+    const context = getContext();
+    const chapters = getChapterTimeline();
+    const persona = context.substituteParams?.('{{persona}}');
+
+    const defaults = {
+        char: context.name2 || '',
+        user: context.name1 || '',
+        persona: persona && persona !== '{{persona}}' ? persona : '',
+        timeline: chapters.map((chapter, index) => `Chapter ${index + 1}: ${chapter.summary}`).join('\n\n'),
+        lastSummary: findLastSummary(values.beforeMesId),
+        chapterNumber: chapters.length + 1,
+        language: getSummaryLanguage()?.name || ''
+    };
+
+    return { ...defaults, ...values };
+}
+
+/**
+ * Resolve {{#if name}}...{{else}}...{{/if}} blocks, innermost first
+ * A macro is true when its value is not empty (or zero).
+ */
+function applyConditionals(template, values) {
+    let result = template;
+    let match;
+    while ((match = result.match(CONDITIONAL_PATTERN))) {
+        const [whenTrue, whenFalse = ''] = match[2].split('{{else}}');
+        const value = values[match[1]];
+        const isTrue = value !== undefined && value !== null && value !== '' && value !== 0;
+        result = result.replace(match[0], () => isTrue ? whenTrue : whenFalse);
+    }
+    return result;
+}
+
+/**
+ * Fill a prompt template
+ * Conditionals are resolved first, then SillyTavern macros, then the extension macros. Values are
+ * inserted last so macro-like text inside chat content is never expanded. Unknown macros are left as-is.
+ * @param {string} template - Prompt template
+ * @param {Object} values - Macro values for this prompt ({content, targetLength, ...})
+ * @returns {string} The filled prompt
+ */
+export function renderPrompt(template, values = {}) {
+    const macros = getMacroValues(values);
+    let result = applyConditionals(template || '', macros);
+
+    // Hide the extension macros from SillyTavern's substitution
+    const protectedMacros = [];
+    result = result.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!Object.hasOwn(PROMPT_MACROS, name)) return match;
+        protectedMacros.push(name);
+        return `\u0000${protectedMacros.length - 1}\u0000`;
+    });
+
+    const context = getContext();
+    if (typeof context.substituteParams === 'function') {
+        result = context.substituteParams(result);
+    }
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+        const value = macros[protectedMacros[Number(index)]];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Check a template for macros nothing will fill and for unbalanced conditionals
+ * @param {string} template - Prompt template
+ * @returns {{unknown: string[], errors: string[]}} Unknown macros (as written) and syntax problems
+ */
+export function validatePromptTemplate(template) {
+    const errors = [];
+    const unknown = new Set();
+    const text = template || '';
+
+    const opened = (text.match(/\{\{#if\s+\w+\s*\}\}/g) || []).length;
+    const closed = (text.match(/\{\{\/if\}\}/g) || []).length;
+    if (opened !== closed) {
+        errors.push(`${opened} {{#if}} but ${closed} {{/if}}`);
+    }
+
+    const context = getContext();
+    for (const [macro, body] of text.matchAll(/\{\{([^{}]*)\}\}/g)) {
+        const name = body.trim();
+        if (name === 'else' || name === '/if') continue;
+
+        const condition = name.match(/^#if\s+(\w+)$/);
+        if (condition) {
+            if (!Object.hasOwn(PROMPT_MACROS, condition[1])) unknown.add(macro);
+            continue;
+        }
+        if (Object.hasOwn(PROMPT_MACROS, name)) continue;
+
+        // SillyTavern macro if substitution changes it
+        const substituted = typeof context.substituteParams === 'function' ? context.substituteParams(macro) : macro;
+        if (substituted === macro) unknown.add(macro);
+    }
+
+    return { unknown: [...unknown], errors };
+}
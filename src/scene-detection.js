@@ -0,0 +1,185 @@
+/**
+ * Scene Break Detection - ask the model whether the unchaptered part of the chat has reached a
+ * natural scene break, then create the chapter or suggest it to the user
+ * Checks run after character messages, debounced, one at a time and spaced by scene_detection_check_every.
+ */
+
+import { getContext } from "../../../../extensions.js";
+import { settings, notify } from "./settings.js";
+import { findLastSceneEnd, sendTaskRequest, cleanSourceText } from "./summarizer.js";
+import { enqueueJobs, getQueuedSceneEnd } from "./job-queue.js";
+import { renderPrompt } from "./prompt-template.js";
+import { extractJson } from "./structured-summary.js";
+import { escapeHtml } from "./summary-history.js";
+
+// Wait for the chat to settle (e.g. a quick swipe or continue) before checking
+const DEBOUNCE_MS = 5000;
+
+let debounceTimer = null;
+let checkRunning = false;
+
+// Detection state for the current chat
+let state = createState(null);
+
+function createState(chatId) {
+    return {
+        chatId,
+        lastCheckedId: -1 // Last message a check covered
+    };
+}
+
+function getState() {
+    const chatId = getContext().chatId;
+    if (state.chatId !== chatId) {
+        state = createState(chatId);
+    }
+    return state;
+}
+
+/**
+ * Get the last message that already belongs to a chapter, or to a scene job still waiting to create one
+ * Both are kept in the chat metadata, so failed or cancelled jobs free their range and reloads keep it.
+ * @param {number} endId - Only look at messages up to this one
+ */
+function getLastChapterEnd(endId) {
+    return Math.max(findLastSceneEnd(endId + 1), getQueuedSceneEnd());
+}
+
+/**
+ * Parse the chapter break prompt's JSON response
+ * @param {string} response - Raw model output
+ * @returns {{shouldEnd: boolean, reasoning: string}|null} Null if no usable answer was found
+ */
+export function parseBreakResponse(response) {
+    const parsed = extractJson(response, { arrays: false });
+    const shouldEnd = parsed?.should_end;
+    if (typeof shouldEnd !== 'boolean' && shouldEnd !== 'true' && shouldEnd !== 'false') {
+        if (response) console.warn('Token Reducer: Failed to parse scene break response:', response);
+        return null;
+    }
+
+    return {
+        shouldEnd: shouldEnd === true || shouldEnd === 'true',
+        reasoning: typeof parsed.reasoning === 'string' ? parsed.reasoning.trim() : ''
+    };
+}
+
+/**
+ * Get the messages since the last chapter that a check would look at
+ * @param {number} endId - Last message of the window
+ * @returns {{startId: number, endId: number, count: number, text: string, complete: boolean}} First unchaptered
+ *   message, the number of visible messages since then, the most recent ones as "[ID: n] Name: text"
+ *   and whether those are all of them
+ */
+function getUnchapteredWindow(endId) {
+    const chat = getContext().chat;
+    const startId = getLastChapterEnd(endId) + 1;
+
+    const lines = [];
+    for (let i = startId; i <= endId; i++) {
+        const text = chat[i].is_system ? '' : cleanSourceText(chat[i].mes);
+        if (text) lines.push(`[ID: ${i}] ${chat[i].name}: ${text}`);
+    }
+
+    const windowSize = Math.max(1, settings.scene_detection_window || 20);
+    return {
+        startId,
+        endId,
+        count: lines.length,
+        text: lines.slice(-windowSize).join('\n\n'),
+        complete: lines.length <= windowSize
+    };
+}
+
+/**
+ * Queue the chapter for a detected break as a background scene job
+ */
+function createChapter(startId, endId) {
+    if (endId <= getLastChapterEnd(endId)) {
+        notify("info", `Messages up to ${endId} already belong to a chapter`, 'Token Reducer');
+        return;
+    }
+
+    if (enqueueJobs([{ type: 'scene', params: { startId, endId } }]) > 0) {
+        notify("info", `Creating chapter for messages ${startId}-${endId}...`, 'Token Reducer');
+    }
+}
+
+/**
+ * Show a scene break suggestion the user can click to create the chapter
+ * The toast stays until it is clicked or closed, and never blocks the chat.
+ */
+function suggestChapter(startId, endId, reasoning) {
+    if (typeof toastr === 'undefined') return;
+
+    const message = `Messages ${startId}-${endId} look like a finished scene${reasoning ? `: ${escapeHtml(reasoning)}` : '.'}<br><b>Click to create the chapter.</b>`;
+    toastr.info(message, 'Token Reducer - Scene Break', {
+        timeOut: 0,
+        extendedTimeOut: 0,
+        closeButton: true,
+        onclick: () => createChapter(startId, endId)
+    });
+}
+
+/**
+ * Check whether the unchaptered messages up to a message end a scene
+ * @param {number} mesId - Latest character message
+ * @returns {Promise<{shouldEnd: boolean, reasoning: string}|null>} The model's answer, or null if no check ran
+ */
+export async function checkForSceneBreak(mesId) {
+    const context = getContext();
+    const current = getState();
+    if (checkRunning || !context.chat?.[mesId]) return null;
+
+    // Rate limit: a minimum scene length, and a few new messages between checks
+    const { startId, count, text, complete } = getUnchapteredWindow(mesId);
+    const spacing = Math.max(1, settings.scene_detection_check_every || 1);
+    if (count < (settings.scene_detection_min_messages || 1) || mesId - current.lastCheckedId < spacing) {
+        return null;
+    }
+
+    checkRunning = true;
+    current.lastCheckedId = mesId;
+    try {
+        const prompt = renderPrompt(settings.chapter_break_prompt, { content: text, beforeMesId: startId });
+        const result = parseBreakResponse(await sendTaskRequest('scene_detection', [{ role: 'user', content: prompt }], { language: null }));
+
+        // The user may have switched chats while waiting for the answer
+        if (getContext().chatId !== current.chatId || !result) return result;
+
+        console.log(`Token Reducer: Scene break check for messages ${startId}-${mesId}: ${result.shouldEnd}${result.reasoning ? ` (${result.reasoning})` : ''}`);
+        if (!result.shouldEnd) return result;
+
+        // The model only judged the last messages of a longer stretch, so the user decides on the whole range
+        if (settings.scene_detection_action === 'auto' && complete) {
+            createChapter(startId, mesId);
+        } else {
+            suggestChapter(startId, mesId, result.reasoning);
+        }
+        return result;
+    } catch (err) {
+        console.error('Token Reducer: Scene break detection failed:', err);
+        return null;
+    } finally {
+        checkRunning = false;
+    }
+}
+
+/**
+ * Schedule a scene break check after a character message, replacing any check still waiting
+ * @param {number} mesId - The character message that was rendered
+ */
+export function scheduleSceneBreakCheck(mesId) {
+    const chatId = getContext().chatId;
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+        debounceTimer = null;
+
+        // Only the latest message of the same chat can end the current scene
+        const context = getContext();
+        if (context.chatId !== chatId || mesId !== (context.chat || []).length - 1) return;
+
+        checkForSceneBreak(mesId);
+    }, DEBOUNCE_MS);
+}
@@ -5,9 +5,21 @@
 import { extension_settings, getContext } from "../../../../extensions.js";
 import { ConnectionManagerRequestService } from "../../../../extensions/shared.js";
 import { extension_name } from "../index.js";
-import { summarizeMessage, summarizeScene, summarizeAllMessages, clearAllSummaries } from "./summarizer.js";
-import { getMemories, exportMemories, getChapterTimeline, loadTimelineData, removeChapter, updateChapter, retrieveRelevantMemories } from "./memory-manager.js";
+import { summarizeMessage, summarizeScene, summarizeAllMessages, clearAllSummaries, cleanSourceText } from "./summarizer.js";
+import { getMemories, exportMemories, getChapterTimeline, loadTimelineData, removeChapter, updateChapter, retrieveRelevantMemories, getArcs, getSaga, rollupTimeline, getChapterHistory, revertChapter } from "./memory-manager.js";
+import { showHistoryPopup, escapeHtml } from "./summary-history.js";
+import { validatePromptTemplate } from "./prompt-template.js";
+import { parseRegexRules } from "./preprocess.js";
 import { updateTokenDisplay } from "./token-tracker.js";
+import { pauseQueue, resumeQueue, cancelQueue, retryFailedJobs, renderQueueProgress } from "./job-queue.js";
+
+// Tasks that can use their own connection profile and generation parameters
+const TASKS = ['message', 'scene', 'keywords', 'retrieval', 'arc', 'scene_detection'];
+
+// Prompt settings filled by the template engine (checked for unknown macros in the UI)
+const PROMPT_TEMPLATES = ['summary_prompt', 'batch_summary_prompt', 'structured_summary_prompt', 'faithfulness_judge_prompt',
+    'shorten_summary_prompt', 'keywords_prompt', 'scene_summary_prompt', 'arc_summary_prompt', 'saga_summary_prompt',
+    'injection_template', 'retrieval_query_prompt', 'chapter_break_prompt', 'arc_analyzer_prompt_template'];
 
 // Default settings - all features toggleable
 const defaultSettings = {
@@ -20,6 +32,36 @@ const defaultSettings = {
     auto_summarize_on_continue: false,
     summary_delay_messages: 5,
     replace_with_summary: false,
+    summary_unit: 'message', // 'message' or 'exchange' (a reply is summarized together with the user message it answers)
+    structured_summaries: false, // Summarizer returns JSON fields, rendered to text via structured_render_template
+    structured_max_retries: 2, // Repair attempts when the JSON doesn't match the schema
+    summary_context_messages: 0, // Preceding messages sent as read-only context with each message summary (0 = off)
+    summary_context_source: 'summaries', // 'summaries' (raw text for unsummarized messages) or 'messages'
+    summary_context_chapter: false, // Also send the summary of the chapter the message belongs to
+
+    // Faithfulness Check
+    faithfulness_check: 'off', // 'off', 'flag' (keep but mark and skip lorebook), 'reject' (discard)
+    faithfulness_min_score: 80, // % of names/numbers in the summary that must appear in the source
+    faithfulness_llm_judge: false, // Also ask the model to judge the summary against its source
+
+    // Source Preprocessing (runs on every message before it is sent to be summarized)
+    preprocess_strip_reasoning: true, // <think>/<thinking>/<reasoning> blocks
+    preprocess_strip_html: true, // Tags are removed, their text kept (style, script and <details> blocks are dropped)
+    preprocess_strip_code_blocks: false, // Fenced ``` blocks, where stat blocks usually live
+    preprocess_strip_ooc: false, // ((...)), (OOC: ...) and [OOC: ...] asides
+    preprocess_regex_rules: '', // One per line: /pattern/flags or /pattern/flags => replacement
+
+    // Summary Post-Processing (runs on every generated summary before it is stored)
+    postprocess_strip_markdown: true,
+    postprocess_strip_labels: true,
+    postprocess_labels: 'Summary, Concise Summary, Scene Summary, Arc Summary, Saga Summary', // Comma-separated
+    postprocess_split_keywords: true, // Move a "Keywords: a, b, c" line into the keyword field
+    postprocess_normalize_whitespace: true,
+    max_summary_tokens: 0, // Message summary length cap, truncated at sentence boundaries (0 = no limit)
+    max_scene_summary_tokens: 0, // Scene summary length cap (0 = no limit)
+
+    // Summary History
+    summary_history_limit: 10, // Versions kept per message and per chapter
 
     // Auto-Hide Summarized Messages
     collapse_summarized: false, // Collapse/hide messages after summarizing (visual only)
@@ -29,11 +71,23 @@ const defaultSettings = {
 
     // Scene/Chapter Summarization
     enable_scene_mode: false,
-    auto_detect_scenes: false,
+    auto_detect_scenes: false, // Ask the model after character messages whether the current scene has ended
+    scene_detection_action: 'suggest', // 'suggest' (clickable notification) or 'auto' (create the chapter)
+    scene_detection_min_messages: 6, // Messages since the last chapter before checking
+    scene_detection_check_every: 2, // Messages between checks
+    scene_detection_window: 20, // Most recent unchaptered messages sent with the chapter break prompt
     auto_scene_interval: 0, // 0 = disabled, otherwise number of messages
     scene_button: true,
     hide_summarized_scenes: false,
     scene_keep_count: 5, // Number of recent messages to keep visible when hiding scenes
+    rolling_chunk_context: true, // Chunks of long scenes see the previous chunk's summary
+    chunk_overlap_messages: 1, // Messages repeated between consecutive chunks
+
+    // Hierarchical Rollup (chapters -> arcs -> saga)
+    enable_rollup: false,
+    rollup_arc_size: 5, // Chapters per arc
+    rollup_saga_size: 3, // Arcs needed before the first saga is generated; later arcs are folded in as they are created
+    rollup_recent_chapters: 2, // Most recent chapters always injected at chapter level
 
     // Memory Storage
     storage_mode: 'lorebook', // 'metadata', 'lorebook', 'both' - Changed to lorebook for AI retrieval
@@ -48,7 +102,7 @@ const defaultSettings = {
     memory_role: 0, // 0=system, 1=user, 2=assistant
 
     // Token Threshold Management
-    enable_threshold: true,
+    enable_threshold: false,
     token_threshold_pct: 70,
     summarize_oldest_first: true,
     aggressive_mode: false,
@@ -63,28 +117,107 @@ const defaultSettings = {
 
     // Generation Settings
     summarization_profile: '', // Connection profile ID for summarization
+    summarization_strategy: 'llm', // 'llm' or 'extractive' (local sentence extraction, no API calls)
+    extractive_fallback: false, // Use the extractive summarizer when there is no profile or generation fails
+    extractive_sentences: 2, // Sentences kept in an extractive message summary
+    extractive_scene_sentences: 6, // Sentences kept in an extractive scene or rollup summary
+    fallback_profiles: [], // Profile IDs tried in order when the summarization profile keeps failing
+    generation_retries: 2, // Retries per profile before moving on to the next one
+    retry_base_delay: 2, // Seconds before the first retry, doubled each attempt (longer for rate limits)
     rate_limit: 60, // requests per minute
+    batch_size: 1, // Messages per summarization request (1 = one request per message)
+    confirm_bulk_operations: true, // Show the API call and token estimate before "Summarize all" and chapter fill
+    adaptive_length: false, // Aim each message summary at compression_ratio of its original length
+    compression_ratio: 25, // Target summary size as % of the original message tokens
+    min_summary_tokens: 15, // Floor for the target (summaries are still never longer than the original)
+    stream_summaries: false, // Stream summaries and preview them live (message display / progress panel for scenes)
+    summary_language: '', // '' (no instruction), 'auto' (detect from the chat) or a language code
+    language_retries: 1, // Extra requests when a response is in the wrong language
     show_notifications: 'all', // 'all', 'errors', 'none'
 
+    // Per-task overrides ('' = summarization profile, 0 max tokens / null temperature = profile setting)
+    message_profile: '', // Message summaries, batches, structured repair and the faithfulness judge
+    message_max_tokens: 0,
+    message_temperature: null,
+    scene_profile: '', // Scene summaries, chunks and arc/saga rollups
+    scene_max_tokens: 0,
+    scene_temperature: null,
+    keywords_profile: '',
+    keywords_max_tokens: 0,
+    keywords_temperature: null,
+    retrieval_profile: '', // Smart retrieval search queries
+    retrieval_max_tokens: 0,
+    retrieval_temperature: null,
+    arc_profile: '', // Story arc analysis
+    arc_max_tokens: 0,
+    arc_temperature: null,
+    scene_detection_profile: '', // Scene break checks
+    scene_detection_max_tokens: 0,
+    scene_detection_temperature: null,
+
     // Prompts
-    summary_prompt: `Create a single-paragraph summary (max 3 sentences). Focus on: who did what, key information revealed, and emotional tone. End with 2-3 comma-separated keywords.
+    summary_prompt: `Create a single-paragraph summary (max 3 sentences). Focus on: who did what, key information revealed, and emotional tone. Then add a final line "Keywords: " followed by 2-3 comma-separated keywords.
 
 {{content}}
 
 Summary:`,
 
+    structured_summary_prompt: `Summarize the message below as a JSON object with exactly these fields:
+{
+    "actors": ["names of characters who act or speak"],
+    "actions": "1-2 sentences on who did what and key information revealed",
+    "location": "where it happens, or an empty string",
+    "items": ["important objects introduced or used"],
+    "emotional_shifts": ["character: emotion change and its trigger"],
+    "keywords": ["2-5 short keywords that could trigger this memory later"]
+}
+Return ONLY the JSON object, no markdown or commentary.
+
+{{content}}`,
+
+    structured_render_template: `{{actions}}
+Location: {{location}}
+Items: {{items}}
+Emotional shifts: {{emotional_shifts}}`,
+
+    faithfulness_judge_prompt: `You are checking a summary for faithfulness to its source text. Find any names, events, objects or facts in the summary that are NOT supported by the source.
+
+Return ONLY a JSON object:
+{"faithful": true/false, "issues": ["each unsupported claim"]}`,
+
+    shorten_summary_prompt: `Shorten this summary to at most {{targetLength}} words. Keep names, actions and key facts. Return only the shortened summary, no commentary.`,
+
+    batch_summary_prompt: `Summarize each of the following messages separately. Each message starts with its [ID: n] tag. For each one, write a single-paragraph summary (max 3 sentences) focusing on who did what, key information revealed, and emotional tone. If a message has a "(max N words)" note, keep its summary within that length.
+
+Return ONLY a JSON object that maps each message ID to its summary, for example:
+{"12": "Summary of message 12", "13": "Summary of message 13"}
+
+{{content}}`,
+
     keywords_prompt: `Extract 3-5 important keywords from this text that could trigger this memory later. Return only comma-separated keywords:
 
 {{content}}
 
 Keywords:`,
 
-    scene_summary_prompt: `Summarize this scene in 2-3 concise paragraphs. Cover: (1) What happened - concrete actions and changes, (2) Location/items introduced, (3) Character emotional shifts with triggers. End with 5-8 comma-separated keywords. Use plain text, no markdown formatting.
+    scene_summary_prompt: `Summarize this scene in 2-3 concise paragraphs. Cover: (1) What happened - concrete actions and changes, (2) Location/items introduced, (3) Character emotional shifts with triggers. Then add a final line "Keywords: " followed by 5-8 comma-separated keywords. Use plain text, no markdown formatting.
 
 {{content}}
 
 Summary:`,
 
+    arc_summary_prompt: `Combine these consecutive chapter summaries into one story arc summary of 1-2 concise paragraphs. Keep the main plot developments, lasting changes to characters and relationships, and unresolved threads. Drop minor details. Use plain text, no markdown formatting.
+
+{{content}}
+
+Arc Summary:`,
+
+    saga_summary_prompt: `Condense these story arc summaries into a single "story so far" overview of one concise paragraph. Keep only what still matters for the ongoing story: major events, character states, relationships and open goals. Use plain text, no markdown formatting.
+
+{{content}}
+
+Saga Summary:`,
+
     retrieval_query_prompt: `Given the following chat history, formulate a search query to find relevant past details in our memory bank. Return ONLY the search query.
 
 Chat History:
@@ -124,13 +257,17 @@ Return a JSON ARRAY. Each item should be a potential chapter end:
   }
 ]
 
-Chat History:
+{{#if timeline}}Story so far:
+{{timeline}}
+
+{{/if}}Chat History:
 {{chapterHistory}}`, // Robust prompt
 
     // Timeline Injection Settings
     enable_injection: false,
     injection_depth: 0, // 0 = at the end, higher = further back
     injection_role: 0, // 0 = system, 1 = user, 2 = assistant
+    injection_token_budget: 1500, // Max timeline tokens when rollup is enabled (0 = no limit)
     injection_template: `[Timeline Summary - Previous Events]
 {{timeline}}
 
@@ -140,6 +277,9 @@ Chat History:
     // Presets - stored configurations
     presets: [],
     current_preset: '',
+
+    // Request totals across all chats, kept by the cost ledger (per-chat ledgers live in chat metadata)
+    usage_ledger: null,
 };
 
 // Current settings (will be loaded from extension_settings)
@@ -189,6 +329,51 @@ export function notify(type, message, title = 'Token Reducer') {
         console.log(`[${title}] ${type}: ${message} `);
     }
 }
+
+// Default prompts that asked for an unlabelled keyword list, which can't be split off the summary
+const UNLABELLED_KEYWORD_PROMPTS = {
+    summary_prompt: `Create a single-paragraph summary (max 3 sentences). Focus on: who did what, key information revealed, and emotional tone. End with 2-3 comma-separated keywords.
+
+{{content}}
+
+Summary:`,
+    scene_summary_prompt: `Summarize this scene in 2-3 concise paragraphs. Cover: (1) What happened - concrete actions and changes, (2) Location/items introduced, (3) Character emotional shifts with triggers. End with 5-8 comma-separated keywords. Use plain text, no markdown formatting.
+
+{{content}}
+
+Summary:`
+};
+
+/**
+ * One-time fixes for settings saved by older versions
+ * @param {Object} saved - Saved settings, changed in place
+ */
+function migrateSettings(saved) {
+    // enable_threshold used to default to on while nothing acted on it. Every install saved
+    // that default, so switch the summarize-and-hide controller off until the user turns it on.
+    if (!saved.threshold_controller_migrated) {
+        if ('enable_threshold' in saved) {
+            saved.enable_threshold = false;
+            (saved.presets || []).forEach(preset => {
+                if (preset.settings) preset.settings.enable_threshold = false;
+            });
+        }
+        saved.threshold_controller_migrated = true;
+    }
+
+    // The default prompts now ask for a "Keywords:" line, which is split off into the lorebook keys.
+    // Prompts still on the old default text are updated; edited prompts are left alone.
+    if (!saved.keywords_line_migrated) {
+        for (const target of [saved, ...(saved.presets || []).map(preset => preset.settings).filter(Boolean)]) {
+            for (const [key, oldPrompt] of Object.entries(UNLABELLED_KEYWORD_PROMPTS)) {
+                if (target[key] === oldPrompt) target[key] = defaultSettings[key];
+            }
+            if ('postprocess_split_keywords' in target) target.postprocess_split_keywords = true;
+        }
+        saved.keywords_line_migrated = true;
+    }
+}
+
 /**
  * Load settings from extension storage
  */
@@ -198,6 +383,8 @@ export async function loadSettings() {
         extension_settings[extension_name] = {};
     }
 
+    migrateSettings(extension_settings[extension_name]);
+
     // Merge saved settings with defaults
     settings = { ...defaultSettings, ...extension_settings[extension_name] };
 
@@ -238,9 +425,43 @@ async function loadSettingsUI() {
             () => { }, // onUpdate
             () => { }  // onDelete
         );
+
+        // Picking a profile here appends it to the ordered fallback list
+        ConnectionManagerRequestService.handleDropdown(
+            '#tr_fallback_profile_select',
+            '',
+            async (profile) => {
+                if (profile?.id && profile.id !== settings.summarization_profile && !settings.fallback_profiles.includes(profile.id)) {
+                    settings.fallback_profiles = [...settings.fallback_profiles, profile.id];
+                    saveSettings();
+                    renderFallbackProfiles();
+                }
+                $('#tr_fallback_profile_select').val('');
+            },
+            () => { }, // onCreate
+            () => { }, // onUpdate
+            () => renderFallbackProfiles() // onDelete
+        );
+
+        // Per-task profiles ('' falls back to the summarization profile)
+        TASKS.forEach(task => {
+            ConnectionManagerRequestService.handleDropdown(
+                `#tr_${task}_profile`,
+                settings[`${task}_profile`] || '',
+                async (profile) => {
+                    settings[`${task}_profile`] = profile?.id || '';
+                    saveSettings();
+                },
+                () => { }, // onCreate
+                () => { }, // onUpdate
+                () => { }  // onDelete
+            );
+        });
     } catch (err) {
         console.warn('Token Reducer: Connection Manager not available, profile dropdown disabled', err);
         $('#tr_summarization_profile').prop('disabled', true).html('<option value="">Connection Manager not available</option>');
+        $('#tr_fallback_profile_select').prop('disabled', true).html('<option value="">Connection Manager not available</option>');
+        TASKS.forEach(task => $(`#tr_${task}_profile`).prop('disabled', true));
     }
 
     // Bind event handlers
@@ -260,6 +481,29 @@ function applySettingsToUI() {
     $('#tr_auto_summarize_on_continue').prop('checked', settings.auto_summarize_on_continue);
     $('#tr_summary_delay_messages').val(settings.summary_delay_messages);
     $('#tr_replace_with_summary').prop('checked', settings.replace_with_summary);
+    $('#tr_summary_unit').val(settings.summary_unit);
+    $('#tr_structured_summaries').prop('checked', settings.structured_summaries);
+    $('#tr_structured_max_retries').val(settings.structured_max_retries);
+    $('#tr_summary_context_messages').val(settings.summary_context_messages);
+    $('#tr_summary_context_source').val(settings.summary_context_source);
+    $('#tr_summary_context_chapter').prop('checked', settings.summary_context_chapter);
+    $('#tr_faithfulness_check').val(settings.faithfulness_check);
+    $('#tr_faithfulness_min_score').val(settings.faithfulness_min_score);
+    $('#tr_faithfulness_llm_judge').prop('checked', settings.faithfulness_llm_judge);
+    $('#tr_preprocess_strip_reasoning').prop('checked', settings.preprocess_strip_reasoning);
+    $('#tr_preprocess_strip_html').prop('checked', settings.preprocess_strip_html);
+    $('#tr_preprocess_strip_code_blocks').prop('checked', settings.preprocess_strip_code_blocks);
+    $('#tr_preprocess_strip_ooc').prop('checked', settings.preprocess_strip_ooc);
+    $('#tr_preprocess_regex_rules').val(settings.preprocess_regex_rules);
+    updateRegexRulesWarning();
+    $('#tr_postprocess_strip_markdown').prop('checked', settings.postprocess_strip_markdown);
+    $('#tr_postprocess_strip_labels').prop('checked', settings.postprocess_strip_labels);
+    $('#tr_postprocess_labels').val(settings.postprocess_labels);
+    $('#tr_postprocess_split_keywords').prop('checked', settings.postprocess_split_keywords);
+    $('#tr_postprocess_normalize_whitespace').prop('checked', settings.postprocess_normalize_whitespace);
+    $('#tr_max_summary_tokens').val(settings.max_summary_tokens);
+    $('#tr_max_scene_summary_tokens').val(settings.max_scene_summary_tokens);
+    $('#tr_summary_history_limit').val(settings.summary_history_limit);
 
     // Auto-Hide Summarized Messages
     $('#tr_collapse_summarized').prop('checked', settings.collapse_summarized);
@@ -270,11 +514,21 @@ function applySettingsToUI() {
     // Scene/Chapter Summarization
     $('#tr_enable_scene_mode').prop('checked', settings.enable_scene_mode);
     $('#tr_auto_detect_scenes').prop('checked', settings.auto_detect_scenes);
+    $('#tr_scene_detection_action').val(settings.scene_detection_action);
+    $('#tr_scene_detection_min_messages').val(settings.scene_detection_min_messages);
+    $('#tr_scene_detection_check_every').val(settings.scene_detection_check_every);
+    $('#tr_scene_detection_window').val(settings.scene_detection_window);
     $('#tr_auto_scene_interval').val(settings.auto_scene_interval);
     $('#tr_auto_scene_interval_value').text(settings.auto_scene_interval > 0 ? settings.auto_scene_interval : 'Off');
     $('#tr_scene_button').prop('checked', settings.scene_button);
     $('#tr_hide_summarized_scenes').prop('checked', settings.hide_summarized_scenes);
     $('#tr_scene_keep_count').val(settings.scene_keep_count);
+    $('#tr_rolling_chunk_context').prop('checked', settings.rolling_chunk_context);
+    $('#tr_chunk_overlap_messages').val(settings.chunk_overlap_messages);
+    $('#tr_enable_rollup').prop('checked', settings.enable_rollup);
+    $('#tr_rollup_arc_size').val(settings.rollup_arc_size);
+    $('#tr_rollup_saga_size').val(settings.rollup_saga_size);
+    $('#tr_rollup_recent_chapters').val(settings.rollup_recent_chapters);
 
     // Memory Storage
     $('#tr_storage_mode').val(settings.storage_mode);
@@ -305,23 +559,51 @@ function applySettingsToUI() {
 
     // Generation Settings
     // Note: summarization_profile is handled by ConnectionManagerRequestService.handleDropdown
+    $('#tr_summarization_strategy').val(settings.summarization_strategy);
+    $('#tr_extractive_fallback').prop('checked', settings.extractive_fallback);
+    $('#tr_extractive_sentences').val(settings.extractive_sentences);
+    $('#tr_extractive_scene_sentences').val(settings.extractive_scene_sentences);
     $('#tr_rate_limit').val(settings.rate_limit);
+    $('#tr_generation_retries').val(settings.generation_retries);
+    $('#tr_retry_base_delay').val(settings.retry_base_delay);
+    renderFallbackProfiles();
+    $('#tr_batch_size').val(settings.batch_size);
+    $('#tr_confirm_bulk_operations').prop('checked', settings.confirm_bulk_operations);
+    $('#tr_stream_summaries').prop('checked', settings.stream_summaries);
+    $('#tr_summary_language').val(settings.summary_language);
+    $('#tr_language_retries').val(settings.language_retries);
+    $('#tr_adaptive_length').prop('checked', settings.adaptive_length);
+    $('#tr_compression_ratio').val(settings.compression_ratio);
+    $('#tr_min_summary_tokens').val(settings.min_summary_tokens);
+    TASKS.forEach(task => {
+        $(`#tr_${task}_max_tokens`).val(settings[`${task}_max_tokens`] || '');
+        $(`#tr_${task}_temperature`).val(settings[`${task}_temperature`] ?? '');
+    });
     $('#tr_show_notifications').val(settings.show_notifications);
 
     // Prompts
     $('#tr_summary_prompt').val(settings.summary_prompt);
+    $('#tr_batch_summary_prompt').val(settings.batch_summary_prompt);
+    $('#tr_structured_summary_prompt').val(settings.structured_summary_prompt);
+    $('#tr_structured_render_template').val(settings.structured_render_template);
+    $('#tr_faithfulness_judge_prompt').val(settings.faithfulness_judge_prompt);
+    $('#tr_shorten_summary_prompt').val(settings.shorten_summary_prompt);
     $('#tr_keywords_prompt').val(settings.keywords_prompt);
     $('#tr_scene_summary_prompt').val(settings.scene_summary_prompt);
+    $('#tr_arc_summary_prompt').val(settings.arc_summary_prompt);
+    $('#tr_saga_summary_prompt').val(settings.saga_summary_prompt);
     $('#tr_retrieval_query_prompt').val(settings.retrieval_query_prompt);
     $('#tr_retrieval_query_prompt').val(settings.retrieval_query_prompt);
     $('#tr_chapter_break_prompt').val(settings.chapter_break_prompt);
     $('#tr_arc_analyzer_prompt_template').val(settings.arc_analyzer_prompt_template);
+    PROMPT_TEMPLATES.forEach(updatePromptWarning);
 
     // Timeline Injection
     $('#tr_enable_injection').prop('checked', settings.enable_injection);
     $('#tr_injection_depth').val(settings.injection_depth);
     $('#tr_injection_depth_value').text(settings.injection_depth);
     $('#tr_injection_role').val(settings.injection_role);
+    $('#tr_injection_token_budget').val(settings.injection_token_budget);
     $('#tr_injection_template').val(settings.injection_template);
 
     // Update visibility of dependent settings
@@ -340,7 +622,11 @@ function bindSettingsHandlers() {
         'enable_scene_mode', 'auto_detect_scenes', 'scene_button', 'hide_summarized_scenes',
         'popup_memories', 'auto_create_lorebook', 'refresh_editor', 'enable_threshold', 'summarize_oldest_first',
         'aggressive_mode', 'show_token_counter', 'enable_smart_retrieval', 'enable_llm_retrieval',
-        'retrieval_on_send', 'enable_injection'
+        'retrieval_on_send', 'enable_injection', 'enable_rollup', 'structured_summaries',
+        'faithfulness_llm_judge', 'postprocess_strip_markdown', 'postprocess_strip_labels', 'postprocess_split_keywords',
+        'postprocess_normalize_whitespace', 'extractive_fallback', 'stream_summaries',
+        'preprocess_strip_reasoning', 'preprocess_strip_html', 'preprocess_strip_code_blocks', 'preprocess_strip_ooc',
+        'adaptive_length', 'rolling_chunk_context', 'summary_context_chapter', 'confirm_bulk_operations'
     ];
 
     toggles.forEach(name => {
@@ -353,7 +639,14 @@ function bindSettingsHandlers() {
 
     // Number input handlers
     const numbers = [
-        'summary_delay_messages', 'memory_depth', 'max_retrieved_memories', 'rate_limit', 'keep_recent_count', 'scene_keep_count'
+        'summary_delay_messages', 'memory_depth', 'max_retrieved_memories', 'rate_limit', 'keep_recent_count', 'scene_keep_count',
+        'rollup_arc_size', 'rollup_saga_size', 'rollup_recent_chapters', 'injection_token_budget', 'batch_size',
+        'structured_max_retries', 'faithfulness_min_score', 'max_summary_tokens', 'max_scene_summary_tokens',
+        'generation_retries', 'retry_base_delay', 'extractive_sentences', 'extractive_scene_sentences',
+        'summary_history_limit', 'compression_ratio', 'min_summary_tokens',
+        'chunk_overlap_messages', 'summary_context_messages', 'language_retries',
+        'scene_detection_min_messages', 'scene_detection_check_every', 'scene_detection_window',
+        ...TASKS.map(task => `${task}_max_tokens`)
     ];
 
     numbers.forEach(name => {
@@ -363,6 +656,15 @@ function bindSettingsHandlers() {
         });
     });
 
+    // Temperature overrides (empty = use the profile's temperature)
+    TASKS.forEach(task => {
+        $(`#tr_${task}_temperature`).on('input', function () {
+            const value = parseFloat($(this).val());
+            settings[`${task}_temperature`] = Number.isFinite(value) ? value : null;
+            saveSettings();
+        });
+    });
+
     // Range slider handlers (with display update)
     const ranges = [
         { name: 'popup_probability', suffix: '%' },
@@ -382,7 +684,8 @@ function bindSettingsHandlers() {
     });
 
     // Select handlers
-    const selects = ['storage_mode', 'memory_role', 'collapse_style', 'show_notifications', 'injection_role'];
+    const selects = ['storage_mode', 'memory_role', 'collapse_style', 'show_notifications', 'injection_role', 'faithfulness_check', 'summarization_strategy',
+        'summary_context_source', 'summary_language', 'summary_unit', 'scene_detection_action'];
 
     selects.forEach(name => {
         $(`#tr_${name}`).on('change', function () {
@@ -393,7 +696,7 @@ function bindSettingsHandlers() {
     });
 
     // Text input handlers
-    const texts = ['target_lorebook', 'lorebook_name_template', 'connection_profile_id'];
+    const texts = ['target_lorebook', 'lorebook_name_template', 'connection_profile_id', 'postprocess_labels'];
 
     texts.forEach(name => {
         $(`#tr_${name}`).on('input', function () {
@@ -403,20 +706,40 @@ function bindSettingsHandlers() {
     });
 
     // Textarea handlers (prompts)
-    const textareas = ['summary_prompt', 'keywords_prompt', 'scene_summary_prompt', 'injection_template', 'retrieval_query_prompt', 'chapter_break_prompt', 'arc_analyzer_prompt_template'];
+    const textareas = ['summary_prompt', 'batch_summary_prompt', 'structured_summary_prompt', 'structured_render_template', 'faithfulness_judge_prompt', 'shorten_summary_prompt', 'keywords_prompt', 'scene_summary_prompt', 'arc_summary_prompt', 'saga_summary_prompt', 'injection_template', 'retrieval_query_prompt', 'chapter_break_prompt', 'arc_analyzer_prompt_template'];
 
     textareas.forEach(name => {
         $(`#tr_${name}`).on('input', function () {
             settings[name] = $(this).val();
             saveSettings();
+            if (PROMPT_TEMPLATES.includes(name)) updatePromptWarning(name);
         });
     });
 
+    $('#tr_preprocess_regex_rules').on('input', function () {
+        settings.preprocess_regex_rules = $(this).val();
+        saveSettings();
+        updateRegexRulesWarning();
+    });
+
+    // Run the preprocessing pipeline on sample text with the current settings
+    $('#tr_preprocess_test').on('click', function () {
+        const result = cleanSourceText($('#tr_preprocess_test_input').val());
+        $('#tr_preprocess_test_output').text(result || '(nothing left to summarize)').show();
+    });
+
     // Reset prompts button
     $('#tr_reset_prompts').on('click', function () {
         settings.summary_prompt = defaultSettings.summary_prompt;
+        settings.batch_summary_prompt = defaultSettings.batch_summary_prompt;
+        settings.structured_summary_prompt = defaultSettings.structured_summary_prompt;
+        settings.structured_render_template = defaultSettings.structured_render_template;
+        settings.faithfulness_judge_prompt = defaultSettings.faithfulness_judge_prompt;
+        settings.shorten_summary_prompt = defaultSettings.shorten_summary_prompt;
         settings.keywords_prompt = defaultSettings.keywords_prompt;
         settings.scene_summary_prompt = defaultSettings.scene_summary_prompt;
+        settings.arc_summary_prompt = defaultSettings.arc_summary_prompt;
+        settings.saga_summary_prompt = defaultSettings.saga_summary_prompt;
         settings.retrieval_query_prompt = defaultSettings.retrieval_query_prompt;
         settings.retrieval_query_prompt = defaultSettings.retrieval_query_prompt;
         settings.chapter_break_prompt = defaultSettings.chapter_break_prompt;
@@ -431,9 +754,7 @@ function bindSettingsHandlers() {
         const button = $(this);
         button.prop('disabled', true).find('i').removeClass('fa-compress').addClass('fa-spinner fa-spin');
         try {
-            const count = await summarizeAllMessages();
-            updateTokenDisplay();
-            notify("success", `Summarized ${count} messages`, 'Token Reducer');
+            await summarizeAllMessages();
         } catch (err) {
             console.error('Token Reducer: Summarize all failed:', err);
             notify("error", 'Failed to summarize messages', 'Token Reducer');
@@ -553,6 +874,33 @@ function bindSettingsHandlers() {
         }
     });
 
+    // Job queue controls
+    $('#tr_queue_pause').on('click', () => pauseQueue());
+    $('#tr_queue_resume').on('click', () => resumeQueue());
+    $('#tr_queue_cancel').on('click', async function () {
+        const confirmed = await getContext().Popup.show.confirm(
+            'Cancel Jobs',
+            'Cancel all queued summarization jobs? The job currently running will still finish.'
+        );
+        if (!confirmed) return;
+
+        const count = cancelQueue();
+        notify("info", `Cancelled ${count} jobs`, 'Token Reducer');
+    });
+    $('#tr_queue_retry').on('click', () => {
+        const count = retryFailedJobs();
+        notify("info", `Retrying ${count} failed jobs`, 'Token Reducer');
+    });
+    renderQueueProgress();
+
+    // Fallback profile list
+    $('#tr_fallback_profiles').on('click', '.tr-remove-fallback', function () {
+        const index = parseInt($(this).data('index'));
+        settings.fallback_profiles = settings.fallback_profiles.filter((_, i) => i !== index);
+        saveSettings();
+        renderFallbackProfiles();
+    });
+
     // Collapsible sections
     $('.tr-section-header').on('click', function () {
         $(this).next('.tr-section-content').slideToggle(200);
@@ -565,6 +913,22 @@ function bindSettingsHandlers() {
         renderTimelineList();
     });
 
+    // Timeline rollup button
+    $('#tr_run_rollup').on('click', async function () {
+        const button = $(this);
+        button.prop('disabled', true).find('i').removeClass('fa-layer-group').addClass('fa-spinner fa-spin');
+        try {
+            const result = await rollupTimeline();
+            renderTimelineList();
+            notify("success", `Rollup: ${result.arcs} new arcs${result.saga ? ', saga updated' : ''}`, 'Token Reducer');
+        } catch (err) {
+            console.error('Token Reducer: Rollup failed:', err);
+            notify("error", 'Rollup failed: ' + err.message, 'Token Reducer');
+        } finally {
+            button.prop('disabled', false).find('i').removeClass('fa-spinner fa-spin').addClass('fa-layer-group');
+        }
+    });
+
     // Initial timeline render
     loadTimelineData();
     renderTimelineList();
@@ -658,9 +1022,7 @@ function bindSettingsHandlers() {
         button.prop('disabled', true).find('i').removeClass('fa-list-ol').addClass('fa-spinner fa-spin');
         try {
             const { autoFillChapters } = await import('./summarizer.js');
-            notify("info", `Starting auto-fill (Interval: ${intVal})...`, "Token Reducer");
             await autoFillChapters(intVal);
-            notify("success", "Auto-fill complete!", "Token Reducer");
         } catch (err) {
             console.error('Token Reducer: Auto-fill failed:', err);
             notify("error", 'Auto-fill failed: ' + err.message, 'Token Reducer');
@@ -670,6 +1032,76 @@ function bindSettingsHandlers() {
     });
 }
 
+/**
+ * Show unknown macros and unbalanced conditionals under a prompt textarea
+ * @param {string} name - Prompt setting name
+ */
+function updatePromptWarning(name) {
+    const textarea = $(`#tr_${name}`);
+    if (!textarea.length) return;
+
+    let warning = textarea.siblings('.tr-prompt-warning');
+    if (!warning.length) {
+        warning = $('<small class="tr-prompt-warning"></small>').insertAfter(textarea);
+    }
+
+    const { unknown, errors } = validatePromptTemplate(settings[name]);
+    const problems = [...errors];
+    if (unknown.length > 0) problems.push(`Unknown macros: ${unknown.join(', ')}`);
+
+    warning.text(problems.join('. ')).toggle(problems.length > 0);
+}
+
+/**
+ * Show invalid preprocessing regex rules under their textarea
+ */
+function updateRegexRulesWarning() {
+    const textarea = $('#tr_preprocess_regex_rules');
+    if (!textarea.length) return;
+
+    let warning = textarea.siblings('.tr-prompt-warning');
+    if (!warning.length) {
+        warning = $('<small class="tr-prompt-warning"></small>').insertAfter(textarea);
+    }
+
+    const { errors } = parseRegexRules(settings.preprocess_regex_rules);
+    warning.text(errors.join('. ')).toggle(errors.length > 0);
+}
+
+/**
+ * Render the ordered fallback profile list in the settings UI
+ */
+function renderFallbackProfiles() {
+    const container = $('#tr_fallback_profiles');
+    const profiles = extension_settings?.connectionManager?.profiles || [];
+
+    if (settings.fallback_profiles.length === 0) {
+        container.html('<div class="tr-fallback-empty">No fallback profiles</div>');
+        return;
+    }
+
+    const html = settings.fallback_profiles.map((id, index) => {
+        const name = profiles.find(p => p.id === id)?.name || `${id} (missing)`;
+        return `
+            <div class="tr-fallback-item">
+                <span>${index + 1}. ${$('<span>').text(name).html()}</span>
+                <button class="menu_button tr-remove-fallback" data-index="${index}" title="Remove fallback">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    container.html(html);
+}
+
+/**
+ * Shorten a summary for the timeline list, escaped for HTML
+ */
+function previewSummary(summary) {
+    return escapeHtml(summary.length > 150 ? summary.substring(0, 150) + '...' : summary);
+}
+
 /**
  * Render the chapter timeline list in the settings UI
  */
@@ -683,16 +1115,47 @@ export function renderTimelineList() {
     }
 
     let html = '';
+
+    // Rollup levels (read-only, regenerated from chapters)
+    const saga = getSaga();
+    if (saga) {
+        html += `
+            <div class="tr-chapter-item tr-rollup-item">
+                <div class="tr-chapter-header">
+                    <span class="tr-chapter-title">Saga</span>
+                    <span class="tr-chapter-range">Arcs 1—${saga.endArc}</span>
+                </div>
+                <div class="tr-chapter-summary">${previewSummary(saga.summary)}</div>
+            </div>
+        `;
+    }
+
+    getArcs().forEach((arc, index) => {
+        html += `
+            <div class="tr-chapter-item tr-rollup-item">
+                <div class="tr-chapter-header">
+                    <span class="tr-chapter-title">Arc ${index + 1}</span>
+                    <span class="tr-chapter-range">Chapters ${arc.startChapter}—${arc.endChapter}</span>
+                </div>
+                <div class="tr-chapter-summary">${previewSummary(arc.summary)}</div>
+            </div>
+        `;
+    });
+
     chapters.forEach((chapter, index) => {
         const chapterNum = index + 1;
-        const summaryPreview = chapter.summary.length > 150
-            ? chapter.summary.substring(0, 150) + '...'
-            : chapter.summary;
+        const summaryPreview = previewSummary(chapter.summary);
+
+        // Warn about scene summaries flagged by the faithfulness check
+        const faithfulness = getContext().chat?.[chapter.endMsgId]?.extra?.tr_scene_faithfulness;
+        const warningBadge = faithfulness && !faithfulness.faithful
+            ? `<span class="tr-summary-warning fa-solid fa-triangle-exclamation" title="${escapeHtml('Possibly unfaithful summary (not stored to lorebook): ' + faithfulness.issues.join('; '))}"></span>`
+            : '';
 
         html += `
             <div class="tr-chapter-item" data-chapter="${chapterNum}">
                 <div class="tr-chapter-header">
-                    <span class="tr-chapter-title">Chapter ${chapterNum}</span>
+                    <span class="tr-chapter-title">${warningBadge}Chapter ${chapterNum}</span>
                     <span class="tr-chapter-range">Messages ${chapter.startMsgId}—${chapter.endMsgId}</span>
                 </div>
                 <div class="tr-chapter-summary">${summaryPreview}</div>
@@ -700,6 +1163,9 @@ export function renderTimelineList() {
                     <button class="menu_button tr-edit-chapter" data-chapter="${chapterNum}" title="Edit summary">
                         <i class="fa-solid fa-edit"></i>
                     </button>
+                    <button class="menu_button tr-history-chapter" data-chapter="${chapterNum}" title="Summary history">
+                        <i class="fa-solid fa-clock-rotate-left"></i>
+                    </button>
                     <button class="menu_button tr-delete-chapter" data-chapter="${chapterNum}" title="Delete chapter">
                         <i class="fa-solid fa-trash"></i>
                     </button>
@@ -729,6 +1195,20 @@ export function renderTimelineList() {
         }
     });
 
+    container.find('.tr-history-chapter').on('click', async function () {
+        const chapterNum = parseInt($(this).data('chapter'));
+
+        await showHistoryPopup(
+            `Chapter ${chapterNum} History`,
+            () => ({ versions: getChapterHistory(chapterNum), current: getChapterTimeline()[chapterNum - 1]?.summary }),
+            async (version) => {
+                revertChapter(chapterNum, version);
+                notify("success", `Chapter ${chapterNum} reverted`, 'Token Reducer');
+            }
+        );
+        renderTimelineList();
+    });
+
     container.find('.tr-delete-chapter').on('click', async function () {
         const chapterNum = parseInt($(this).data('chapter'));
         const confirmed = await getContext().Popup.show.confirm(
@@ -756,19 +1236,55 @@ function updateDependentSettings() {
     $('#tr_auto_summarize_on_continue').closest('.tr-setting-row').toggle(settings.enable_message_summary && settings.auto_summarize);
     $('#tr_summary_delay_messages').closest('.tr-setting-row').toggle(settings.enable_message_summary && settings.auto_summarize);
     $('#tr_replace_with_summary').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+    $('#tr_summary_unit').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+    $('#tr_structured_summaries').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+    $('#tr_structured_max_retries').closest('.tr-setting-row').toggle(settings.enable_message_summary && settings.structured_summaries);
+    $('#tr_summary_context_messages').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+    $('#tr_summary_context_source').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+    $('#tr_summary_context_chapter').closest('.tr-setting-row').toggle(settings.enable_message_summary);
+
+    // Faithfulness options only matter when checking is on
+    const checkFaithfulness = settings.faithfulness_check !== 'off';
+    $('#tr_faithfulness_min_score').closest('.tr-setting-row').toggle(checkFaithfulness);
+    $('#tr_faithfulness_llm_judge').closest('.tr-setting-row').toggle(checkFaithfulness);
+
+    // Extractive options only matter when the extractive summarizer can run
+    const useExtractive = settings.summarization_strategy === 'extractive';
+    $('#tr_extractive_fallback').closest('.tr-setting-row').toggle(!useExtractive);
+    $('#tr_extractive_sentences').closest('.tr-setting-row').toggle(useExtractive || settings.extractive_fallback);
+    $('#tr_extractive_scene_sentences').closest('.tr-setting-row').toggle(useExtractive || settings.extractive_fallback);
+
+    // Length target options only matter with adaptive length
+    $('#tr_language_retries').closest('.tr-setting-row').toggle(!!settings.summary_language);
+    $('#tr_compression_ratio').closest('.tr-setting-row').toggle(settings.adaptive_length);
+    $('#tr_min_summary_tokens').closest('.tr-setting-row').toggle(settings.adaptive_length);
+
+    // Label list only matters when label stripping is on
+    $('#tr_postprocess_labels').closest('.tr-setting-row').toggle(settings.postprocess_strip_labels);
 
     // Auto-hide settings depend on message summary
     $('#tr_collapse_summarized').closest('.tr-setting-row').toggle(settings.enable_message_summary);
     $('#tr_auto_hide_summarized').closest('.tr-setting-row').toggle(settings.enable_message_summary);
-    $('#tr_keep_recent_count').closest('.tr-setting-row').toggle(settings.enable_message_summary && settings.auto_hide_summarized);
+    $('#tr_keep_recent_count').closest('.tr-setting-row').toggle(settings.enable_message_summary && (settings.auto_hide_summarized || settings.replace_with_summary));
     $('#tr_collapse_style').closest('.tr-setting-row').toggle(settings.enable_message_summary && settings.collapse_summarized);
 
     // Scene settings depend on scene mode
     $('#tr_auto_detect_scenes').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
+    $('#tr_scene_detection_action').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.auto_detect_scenes);
+    $('#tr_scene_detection_min_messages').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.auto_detect_scenes);
+    $('#tr_scene_detection_check_every').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.auto_detect_scenes);
+    $('#tr_scene_detection_window').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.auto_detect_scenes);
     $('#tr_auto_scene_interval').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
     $('#tr_scene_button').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
     $('#tr_hide_summarized_scenes').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
     $('#tr_scene_keep_count').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.hide_summarized_scenes);
+    $('#tr_rolling_chunk_context').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
+    $('#tr_chunk_overlap_messages').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
+    $('#tr_enable_rollup').closest('.tr-setting-row').toggle(settings.enable_scene_mode);
+    $('#tr_rollup_arc_size').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.enable_rollup);
+    $('#tr_rollup_saga_size').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.enable_rollup);
+    $('#tr_rollup_recent_chapters').closest('.tr-setting-row').toggle(settings.enable_scene_mode && settings.enable_rollup);
+    $('#tr_injection_token_budget').closest('.tr-setting-row').toggle(settings.enable_rollup);
 
     // Lorebook settings depend on storage mode
     const showLorebook = settings.storage_mode === 'lorebook' || settings.storage_mode === 'both';
@@ -823,7 +1339,7 @@ export function getPresetList() {
  * Get settings to include in a preset (excludes presets array itself)
  */
 function getPresetableSettings() {
-    const excluded = ['presets', 'current_preset'];
+    const excluded = ['presets', 'current_preset', 'usage_ledger', 'threshold_controller_migrated', 'keywords_line_migrated'];
     const presetable = {};
     for (const key in settings) {
         if (!excluded.includes(key)) {
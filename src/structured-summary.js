@@ -0,0 +1,130 @@
+/**
+ * Structured Summary Schema - parsing, validation and rendering
+ */
+
+/**
+ * Fields a structured summary may contain
+ * Arrays are lists of short strings, strings are free text
+ */
+export const SUMMARY_SCHEMA = {
+    actors: { type: 'array', required: true },
+    actions: { type: 'string', required: true },
+    location: { type: 'string', required: false },
+    items: { type: 'array', required: false },
+    emotional_shifts: { type: 'array', required: false },
+    keywords: { type: 'array', required: true },
+};
+
+/**
+ * Extract JSON from raw model output (handles code fences and surrounding text)
+ * @param {string} text - Raw model output
+ * @param {Object} options
+ * @param {boolean} [options.arrays] - Also accept a top-level array, default true
+ * @returns {Object|Array|null} Parsed value, or null if none could be parsed
+ */
+export function extractJson(text, { arrays = true } = {}) {
+    if (!text) return null;
+
+    let jsonStr = text;
+    if (jsonStr.includes('```')) {
+        jsonStr = jsonStr.split(/```(?:json)?/)[1] || jsonStr;
+    }
+
+    const start = arrays ? jsonStr.search(/[[{]/) : jsonStr.indexOf('{');
+    const end = arrays ? Math.max(jsonStr.lastIndexOf('}'), jsonStr.lastIndexOf(']')) : jsonStr.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return JSON.parse(jsonStr.substring(start, end + 1));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Extract a JSON object from raw model output (handles code fences and surrounding text)
+ * @param {string} text - Raw model output
+ * @returns {Object|null} Parsed object, or null if none could be parsed
+ */
+export function parseStructuredSummary(text) {
+    const parsed = extractJson(text, { arrays: false });
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+/**
+ * Validate a parsed summary against the schema, repairing what can be repaired locally
+ * Comma-separated strings become arrays, single values become one-item lists, unknown fields are dropped
+ * @param {Object} data - Parsed summary object
+ * @returns {{valid: boolean, errors: string[], value: Object}}
+ */
+export function validateStructuredSummary(data) {
+    const errors = [];
+    const value = {};
+
+    if (!data || typeof data !== 'object') {
+        return { valid: false, errors: ['Response is not a JSON object'], value };
+    }
+
+    for (const [field, rule] of Object.entries(SUMMARY_SCHEMA)) {
+        let fieldValue = data[field];
+
+        if (rule.type === 'array') {
+            if (typeof fieldValue === 'string') {
+                fieldValue = fieldValue.split(',');
+            } else if (fieldValue !== undefined && fieldValue !== null && !Array.isArray(fieldValue)) {
+                fieldValue = [fieldValue];
+            }
+            fieldValue = (fieldValue || [])
+                .map(v => String(v).trim())
+                .filter(v => v.length > 0);
+
+            if (rule.required && fieldValue.length === 0) {
+                errors.push(`"${field}" must be a non-empty array of strings`);
+            }
+        } else {
+            if (Array.isArray(fieldValue)) {
+                fieldValue = fieldValue.join(' ');
+            }
+            fieldValue = fieldValue === undefined || fieldValue === null ? '' : String(fieldValue).trim();
+
+            if (rule.required && !fieldValue) {
+                errors.push(`"${field}" must be a non-empty string`);
+            }
+        }
+
+        value[field] = fieldValue;
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Render a structured summary to plain text using a template
+ * Placeholders are {{field}}; array fields are joined with commas.
+ * Lines whose placeholders are all empty are dropped.
+ * @param {Object} data - Validated summary
+ * @param {string} template - Render template
+ * @returns {string} Plain text summary
+ */
+export function renderStructuredSummary(data, template) {
+    const lines = template.split('\n').map(line => {
+        let hasValue = false;
+        let hasPlaceholder = false;
+
+        const rendered = line.replace(/\{\{(\w+)\}\}/g, (match, field) => {
+            if (!(field in SUMMARY_SCHEMA)) return match;
+            hasPlaceholder = true;
+
+            const fieldValue = Array.isArray(data[field]) ? data[field].join(', ') : (data[field] || '');
+            if (fieldValue) hasValue = true;
+            return fieldValue;
+        });
+
+        return hasPlaceholder && !hasValue ? null : rendered;
+    });
+
+    return lines
+        .filter(line => line !== null)
+        .join('\n')
+        .trim();
+}
@@ -6,11 +6,40 @@ import { getContext, extension_settings } from "../../../../extensions.js";
 import { ConnectionManagerRequestService } from "../../../../extensions/shared.js";
 import { hideChatMessageRange } from "../../../../chats.js";
 import { settings, notify } from "./settings.js";
-import { storeMemory } from "./memory-manager.js";
-import { collapseAfterSummarize } from "./messages.js";
+import { storeMemory, loadMemoryData, getChapterTimeline, registerSceneChapter } from "./memory-manager.js";
+import { collapseAfterSummarize, showSummaryPreview, clearSummaryPreview } from "./messages.js";
+import { showProgressPanel, hideProgressPanel } from "./progress-panel.js";
+import { enqueueJobs, isJobQueued, recordFailedJob, interruptQueue } from "./job-queue.js";
+import { extractJson, parseStructuredSummary, validateStructuredSummary, renderStructuredSummary } from "./structured-summary.js";
+import { checkEntityOverlap, parseJudgeResponse } from "./faithfulness.js";
+import { postProcessSummary, truncateToTokens } from "./postprocess.js";
+import { preprocessSource, parseRegexRules } from "./preprocess.js";
+import { getTargetSummaryTokens } from "./token-tracker.js";
+import { extractiveSummary, extractKeywords } from "./extractive.js";
+import { addVersion } from "./summary-history.js";
+import { renderPrompt } from "./prompt-template.js";
+import { getSummaryLanguage, withLanguageInstruction, matchesLanguage } from "./language.js";
+import { estimateMessageJobs, estimateSceneJobs, confirmBulkOperation } from "./cost-estimate.js";
+import { recordRequest } from "./cost-ledger.js";
 
 let lastGenTimestamp = 0;
 
+// Abort controllers of requests in flight (one per request), and when the user last pressed stop
+const activeRequests = new Set();
+let stoppedAt = 0;
+
+/**
+ * Check whether the user pressed stop after an operation started
+ * Each operation keeps its own start time, so a request started later can't clear the stop.
+ * @param {number} startedAt - Date.now() when the operation started
+ */
+function wasStopped(startedAt) {
+    return stoppedAt >= startedAt;
+}
+
+// Response length cap for batch requests; messages the model can't fit are summarized individually
+const BATCH_MAX_TOKENS = 4096;
+
 /**
  * Get delay between API calls based on rate limit
  */
@@ -47,16 +76,166 @@ function getMaxTokensForProfile(profileId) {
     return 1024;
 }
 
+/**
+ * Get the connection profile for a task ('message', 'scene', 'keywords', 'retrieval', 'arc' or 'scene_detection')
+ * Tasks without their own profile use the summarization profile
+ * @param {string} task - Task name
+ * @returns {string} Profile ID, or '' if none is configured
+ */
+export function getTaskProfile(task) {
+    return settings[`${task}_profile`] || settings.summarization_profile || '';
+}
+
+/**
+ * Get the generation parameters for a task
+ * @param {string} task - Task name
+ * @param {string} profileId - Profile the request goes to (for the default max tokens)
+ * @returns {{maxTokens: number, overrides: Object}} Max response tokens and payload overrides (temperature)
+ */
+function getTaskParams(task, profileId) {
+    const maxTokens = Number(settings[`${task}_max_tokens`]) || getMaxTokensForProfile(profileId);
+    const temperature = settings[`${task}_temperature`];
+    const overrides = temperature === null || temperature === undefined || temperature === ''
+        ? {}
+        : { temperature: Number(temperature) };
+    return { maxTokens, overrides };
+}
+
+/**
+ * Check whether a request error looks like a rate limit or overload response
+ */
+function isRateLimitError(err) {
+    return err?.status === 429 || /\b429\b|rate.?limit|too many requests|overloaded/i.test(err?.message || '');
+}
+
+/**
+ * Check whether a request error means the account's quota or billing is exhausted
+ * Waiting doesn't help with these, so they are not retried.
+ */
+function isQuotaError(err) {
+    return err?.status === 402
+        || /insufficient.?quota|quota.{0,20}exceeded|exceeded.{0,20}quota|billing|payment required|credit balance/i.test(err?.message || '');
+}
+
+/**
+ * Get how long to wait before retrying a failed request
+ * Exponential backoff from retry_base_delay, longer for rate limits unless the error says how long to wait
+ * @param {Error} err - The error from the failed attempt
+ * @param {number} attempt - Zero-based retry number
+ */
+function getRetryDelayMs(err, attempt) {
+    const retryAfter = String(err?.message || '').match(/retry.?after\D{0,5}(\d+)/i);
+    if (retryAfter) {
+        return Math.min(Number(retryAfter[1]) * 1000, 120000);
+    }
+
+    const baseDelay = (Number(settings.retry_base_delay) || 2) * 1000;
+    const multiplier = isRateLimitError(err) ? 4 : 1;
+    return Math.min(baseDelay * multiplier * 2 ** attempt, 120000);
+}
+
+/**
+ * Send a single request to a connection profile
+ * Every request is recorded in the cost ledger, whether it succeeds or not.
+ * @returns {Promise<string>} Generated text (throws on error or empty response)
+ */
+async function requestCompletion(profileId, messages, maxTokens, { signal = null, onProgress = null, overrides = {}, task = 'message' } = {}) {
+    const context = getContext();
+    const stream = typeof onProgress === 'function';
+    const chatId = context.chatId;
+    const startedAt = Date.now();
+
+    console.log('Token Reducer: Sending request to profile:', profileId);
+    console.log('Token Reducer: Messages:', messages);
+
+    let result;
+    try {
+        // Use ConnectionManagerRequestService to send the request
+        const response = await ConnectionManagerRequestService.sendRequest(
+            profileId,
+            messages,
+            maxTokens,
+            {
+                includePreset: true,
+                includeInstruct: true,
+                stream,
+                signal
+            },
+            overrides
+        );
+
+        // Extract content from response (streaming returns a generator of cumulative text)
+        if (stream && typeof response === 'function') {
+            result = '';
+            for await (const chunk of response()) {
+                result = chunk?.text ?? result;
+                onProgress(result);
+            }
+        } else {
+            result = response?.content || response || '';
+        }
+
+        // Parse out any reasoning if present
+        const parsed = context.parseReasoningFromString?.(result);
+        if (parsed) {
+            result = parsed.content;
+        }
+
+        if (typeof result !== 'string' || !result.trim()) {
+            throw new Error('Empty response');
+        }
+    } catch (err) {
+        await recordRequest({ task, profileId, messages, latencyMs: Date.now() - startedAt, chatId, error: err });
+        throw err;
+    }
+
+    await recordRequest({ task, profileId, messages, response: result, latencyMs: Date.now() - startedAt, chatId });
+    return result.trim();
+}
+
 /**
  * Generate text using the AI via ConnectionManagerRequestService
- * Uses structured messages with system and user roles for proper summarization
+ * Uses structured messages with system and user roles for proper summarization.
+ * The system prompt asks for the summary language, and responses in another language are requested again.
  * @param {string} content - The message content to summarize
  * @param {string} systemPrompt - The summarization instructions
- * @returns {Promise<string>} Generated text
+ * @param {Object} options - Optional overrides
+ * @param {string} [options.task] - Task the request belongs to, for its profile and parameter overrides (default 'message')
+ * @param {number} [options.maxTokens] - Max response tokens (defaults to the task setting, then the profile setting)
+ * @param {Function} [options.onProgress] - Receives the partial text while streaming (only used when stream_summaries is on)
+ * @param {Object|null} [options.language] - Language to write in (defaults to getSummaryLanguage, null for none)
+ * @param {boolean} [options.checkLanguage] - Check the response language (off for JSON responses), default true
+ * @returns {Promise<string>} Generated text, or an empty string if every attempt failed or was stopped
  */
-async function generateText(content, systemPrompt) {
+async function generateText(content, systemPrompt, options = {}) {
+    const language = options.language === undefined ? getSummaryLanguage() : options.language;
+    const prompt = withLanguageInstruction(systemPrompt, language);
+    const checkLanguage = options.checkLanguage !== false;
+    const retries = Math.max(0, Number(settings.language_retries) || 0);
+
+    let result = await requestWithRetries(content, prompt, options);
+
+    for (let retry = 0; retry < retries && checkLanguage && result && !matchesLanguage(result, language); retry++) {
+        console.warn(`Token Reducer: Response is not in ${language.name}, retrying (${retry + 1}/${retries})`);
+        result = await requestWithRetries(content, `${prompt}\n\nYour previous answer was not in ${language.name}. Answer only in ${language.name}.`, options);
+    }
+
+    if (checkLanguage && result && !matchesLanguage(result, language)) {
+        notify("warning", `Summary may not be in ${language.name}`, 'Token Reducer');
+    }
+
+    return result;
+}
+
+/**
+ * Send a generation request, retrying failed requests with backoff and then trying the fallback profiles in order
+ * @param {string} content - User message content
+ * @param {string} systemPrompt - System prompt
+ * @param {Object} options - See generateText
+ * @returns {Promise<string>} Generated text, or an empty string if every attempt failed or was stopped
+ */
+async function requestWithRetries(content, systemPrompt, options = {}) {
     const context = getContext();
-    let result = '';
 
     // Check if we have an active chat
     if (!context.chat || context.chat.length === 0) {
@@ -66,60 +245,164 @@ async function generateText(content, systemPrompt) {
     }
 
     // Get the profile ID from settings
-    const profileId = settings.summarization_profile;
+    const task = options.task || 'message';
+    const profileId = getTaskProfile(task);
     if (!profileId) {
         console.error('Token Reducer: No summarization profile configured');
         notify("error", 'Please select a Summarization Profile in Token Reducer settings', 'Token Reducer');
         return '';
     }
 
-    try {
-        await waitForRateLimit();
-        context.deactivateSendButtons();
-
-        // Build messages array (like timeline-memory does)
-        const messages = [];
-        if (systemPrompt) {
-            messages.push({ role: 'system', content: systemPrompt });
-        }
-        messages.push({ role: 'user', content: content });
+    // Build messages array (like timeline-memory does)
+    const messages = [];
+    if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: content });
 
-        // Get max tokens for the profile
-        const maxTokens = getMaxTokensForProfile(profileId);
+    const profileIds = [profileId, ...(settings.fallback_profiles || []).filter(id => id && id !== profileId)];
+    const retries = Math.max(0, Number(settings.generation_retries) || 0);
+    const chatId = context.chatId;
+    const onProgress = settings.stream_summaries ? options.onProgress : null;
+    const controller = new AbortController();
+    let lastError = null;
 
-        console.log('Token Reducer: Sending request to profile:', profileId);
-        console.log('Token Reducer: Messages:', messages);
+    try {
+        activeRequests.add(controller);
+        context.deactivateSendButtons();
 
-        // Use ConnectionManagerRequestService to send the request
-        const response = await ConnectionManagerRequestService.sendRequest(
-            profileId,
-            messages,
-            maxTokens,
-            {
-                includePreset: true,
-                includeInstruct: true,
-                stream: false
+        for (const [index, id] of profileIds.entries()) {
+            if (index > 0) {
+                notify("warning", `Summarization profile failed, trying fallback ${index}/${profileIds.length - 1}...`, 'Token Reducer');
             }
-        );
 
-        // Extract content from response
-        result = response?.content || response || '';
-
-        // Parse out any reasoning if present
-        const parsed = context.parseReasoningFromString?.(result);
-        if (parsed) {
-            result = parsed.content;
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                if (attempt > 0) {
+                    const delay = getRetryDelayMs(lastError, attempt - 1);
+                    console.log(`Token Reducer: Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${retries + 1})`);
+
+                    // The chat stays usable while waiting out the backoff
+                    context.activateSendButtons();
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    context.deactivateSendButtons();
+                }
+
+                // Don't keep retrying for a chat the user has left
+                if (getContext().chatId !== chatId) {
+                    throw new Error('Chat changed during generation');
+                }
+
+                try {
+                    await waitForRateLimit();
+                    const { maxTokens, overrides } = getTaskParams(task, id);
+                    const result = await requestCompletion(id, messages, options.maxTokens || maxTokens, {
+                        signal: controller.signal,
+                        onProgress,
+                        overrides,
+                        task
+                    });
+                    console.log('Token Reducer: Summary result:', result.substring(0, 100) + '...');
+                    return result;
+                } catch (err) {
+                    // Stopped by the user - no retries, no fallback
+                    if (controller.signal.aborted) throw err;
+
+                    lastError = err;
+                    console.warn(`Token Reducer: Request to profile ${id} failed (attempt ${attempt + 1}/${retries + 1}):`, err);
+
+                    // Out of quota or credit - no retries, no fallback
+                    if (isQuotaError(err)) throw err;
+                }
+            }
         }
 
-        console.log('Token Reducer: Summary result:', result.substring(0, 100) + '...');
+        throw lastError;
     } catch (err) {
-        console.error('Token Reducer: Generation error:', err);
-        notify("error", 'Generation failed: ' + err.message, 'Token Reducer');
+        if (controller.signal.aborted) {
+            console.log('Token Reducer: Generation stopped');
+            notify("info", 'Summarization stopped', 'Token Reducer');
+        } else {
+            console.error('Token Reducer: Generation error:', err);
+            notify("error", 'Generation failed: ' + err?.message, 'Token Reducer');
+        }
     } finally {
+        activeRequests.delete(controller);
         context.activateSendButtons();
     }
 
-    return result.trim();
+    return '';
+}
+
+/**
+ * Send a single request for a task that handles its own errors (retrieval queries, arc analysis)
+ * No retries or fallback profiles, and send buttons stay active.
+ * @param {string} task - Task name
+ * @param {Array<{role: string, content: string}>} messages - Chat messages to send
+ * @param {Object} options
+ * @param {Object|null} [options.language] - Language to write in (defaults to getSummaryLanguage, null for
+ *   none, e.g. for JSON answers and search queries)
+ * @returns {Promise<string>} Generated text (throws on error or empty response)
+ */
+export async function sendTaskRequest(task, messages, options = {}) {
+    const profileId = getTaskProfile(task);
+    if (!profileId) {
+        throw new Error('No connection profile selected in settings.');
+    }
+
+    // Ask for the summary language in the last message
+    const language = options.language === undefined ? getSummaryLanguage() : options.language;
+    const request = messages.map((message, index) => index === messages.length - 1
+        ? { ...message, content: withLanguageInstruction(message.content, language) }
+        : message);
+
+    const { maxTokens, overrides } = getTaskParams(task, profileId);
+    await waitForRateLimit();
+    return await requestCompletion(profileId, request, maxTokens, { overrides, task });
+}
+
+/**
+ * Abort the summarization requests in flight and pause the job queue
+ */
+export function stopGeneration() {
+    stoppedAt = Date.now();
+    activeRequests.forEach(controller => controller.abort());
+    interruptQueue();
+}
+
+/**
+ * Produce summary text with the configured strategy
+ * 'extractive' never calls the API. 'llm' falls back to the extractive summarizer when
+ * extractive_fallback is on and there is no profile or generation failed.
+ * @param {string} content - The content to summarize
+ * @param {number} sentences - Sentences to keep in an extractive summary
+ * @param {Function} generate - Async LLM generation, called for the 'llm' strategy
+ * @param {string} task - Task whose profile generate uses ('message' or 'scene')
+ * @returns {Promise<{text: string, method: 'llm'|'extractive'}>} Summary text and how it was produced
+ */
+async function generateSummaryText(content, sentences, generate, task = 'message') {
+    const context = getContext();
+    const startedAt = Date.now();
+    const summarizeLocally = () => ({
+        text: extractiveSummary(content, { maxSentences: sentences, knownNames: [context.name1, context.name2] }),
+        method: 'extractive'
+    });
+
+    if (settings.summarization_strategy === 'extractive') {
+        return summarizeLocally();
+    }
+
+    if (!getTaskProfile(task) && settings.extractive_fallback) {
+        console.log('Token Reducer: No summarization profile, using extractive summary');
+        return summarizeLocally();
+    }
+
+    const result = await generate();
+    if (!result && !wasStopped(startedAt) && settings.extractive_fallback && context.chat?.length) {
+        notify("warning", 'Generation failed, using extractive summary', 'Token Reducer');
+        return summarizeLocally();
+    }
+
+    return { text: result, method: 'llm' };
 }
 
 /**
@@ -166,6 +449,13 @@ async function autoHideSummarizedMessages(context) {
             await hideChatMessageRange(idx, idx, false);
             console.log(`Token Reducer: Hidden message ${idx} from AI context`);
         }
+
+        // Exchange summaries also cover the user message they answer
+        const exchangeStart = message.extra.tr_exchange_start;
+        if (chat[exchangeStart]?.is_user && !chat[exchangeStart].is_system) {
+            await hideChatMessageRange(exchangeStart, exchangeStart, false);
+            console.log(`Token Reducer: Hidden message ${exchangeStart} (covered by exchange summary ${idx})`);
+        }
     }
 }
 
@@ -177,69 +467,540 @@ async function autoHideSummarizedMessages(context) {
 export async function summarizeMessage(mesId) {
     const context = getContext();
     const chat = context.chat;
+    const startedAt = Date.now();
 
     if (mesId < 0 || mesId >= chat.length) {
         throw new Error('Invalid message ID');
     }
 
-    const message = chat[mesId];
-    const content = `${message.name}: ${message.mes}`;
+    const { content, text, exchangeStart } = getSummarySource(mesId);
+    if (!text) {
+        notify("warning", `Message ${mesId} has no text left to summarize after preprocessing`, 'Token Reducer');
+        return '';
+    }
+
+    const request = exchangeStart === null
+        ? withSummaryContext(mesId, content)
+        : withSummaryContext(exchangeStart, content, 'Exchange to summarize');
 
     // Separate the system prompt (instructions) from the content (message to summarize)
-    const systemPrompt = settings.summary_prompt.replace('{{content}}', '').trim();
+    const target = await getTargetLength(text);
+    const systemPrompt = renderTargetLengthPrompt(settings.summary_prompt, target, { beforeMesId: exchangeStart ?? mesId });
 
     notify("info", `Summarizing message ${mesId}...`, 'Token Reducer');
-    const summary = await generateText(content, systemPrompt);
 
-    if (summary) {
-        // Store summary in message metadata
-        if (!message.extra) message.extra = {};
-        message.extra.tr_summary = summary;
-        message.extra.tr_summarized_at = Date.now();
+    let summary;
+    let structured = null;
+    let keywords = null;
+    let prompt;
+    if (settings.structured_summaries && settings.summarization_strategy !== 'extractive') {
+        prompt = renderPrompt(settings.structured_summary_prompt, { content: '', beforeMesId: exchangeStart ?? mesId }).trim();
+        structured = await generateStructuredSummary(request, prompt);
+        summary = structured ? renderStructuredSummary(structured, settings.structured_render_template) : '';
+    } else {
+        const generated = await generateSummaryText(content, settings.extractive_sentences, () => generateText(request, systemPrompt, {
+            onProgress: text => showSummaryPreview(mesId, text)
+        }));
+        clearSummaryPreview(mesId);
+        ({ text: summary, keywords } = await cleanSummary(generated.text, settings.max_summary_tokens));
+        summary = await fitToTargetLength(summary, target, generated.method === 'llm');
+        prompt = generated.method === 'extractive' ? 'extractive' : systemPrompt;
+    }
 
-        await context.saveChat();
+    if (!summary) {
+        // Record the failure so the message can be retried from the job queue
+        if (!wasStopped(startedAt)) {
+            recordFailedJob('message', { mesId }, 'No summary generated');
+        }
+        return '';
+    }
 
-        // Also store to lorebook if enabled
-        await storeMemory(summary, null, {
-            type: 'message',
-            mesId: mesId,
-            title: `Message ${mesId} Summary`
+    if (await saveMessageSummary(mesId, summary, { structured, keywords, prompt, source: request, exchangeStart })) {
+        notify("success", `Message ${mesId} summarized`, 'Token Reducer');
+        return summary;
+    }
+
+    return '';
+}
+
+/**
+ * Get the text a message summary is generated from
+ * In exchange mode a reply is summarized together with the user message it answers.
+ * @param {number} mesId - Message ID
+ * @returns {{content: string, text: string, exchangeStart: number|null}} "Name: message" content, the
+ *   preprocessed message text (for length targets) and the user message ID when the summary covers an exchange
+ */
+function getSummarySource(mesId) {
+    const chat = getContext().chat;
+    const message = chat[mesId];
+    const text = cleanSourceText(message.mes);
+    const exchangeStart = settings.summary_unit === 'exchange' ? findExchangeStart(mesId) : -1;
+
+    if (exchangeStart < 0) {
+        return { content: `${message.name}: ${text}`, text, exchangeStart: null };
+    }
+
+    const user = chat[exchangeStart];
+    const userText = cleanSourceText(user.mes);
+    return {
+        content: `${user.name}: ${userText}\n\n${message.name}: ${text}`,
+        text: `${userText}\n\n${text}`.trim(),
+        exchangeStart
+    };
+}
+
+/**
+ * Prepend read-only context to the content of a message summary request
+ * The context is the chapter the message belongs to (or the latest one before it) and the
+ * preceding messages, as summaries or raw text, so the model can resolve pronouns and references.
+ * @param {number} mesId - First message being summarized
+ * @param {string} content - "Name: message" text to summarize
+ * @param {string} heading - Label for the part the model should summarize
+ * @returns {string} The content, unchanged when no context is configured or available
+ */
+function withSummaryContext(mesId, content, heading = 'Message to summarize') {
+    const chat = getContext().chat;
+    const parts = [];
+
+    if (settings.summary_context_chapter) {
+        const chapters = getChapterTimeline();
+        const chapter = chapters.find(c => c.startMsgId <= mesId && c.endMsgId >= mesId)
+            || chapters.filter(c => c.endMsgId < mesId).pop();
+        const sceneEnd = findLastSceneEnd(mesId);
+        const chapterSummary = chapter?.summary || (sceneEnd >= 0 ? getSceneSummary(sceneEnd) : null);
+        if (chapterSummary) {
+            parts.push(`Current chapter:\n${chapterSummary}`);
+        }
+    }
+
+    const count = settings.summary_context_messages || 0;
+    const previous = [];
+    for (let i = mesId - 1; i >= 0 && previous.length < count; i--) {
+        const message = chat[i];
+        if (!message?.mes) continue;
+        const text = (settings.summary_context_source === 'summaries' && getMessageSummary(i)) || cleanSourceText(message.mes);
+        if (!text) continue;
+        previous.unshift(`${message.name}: ${text}`);
+    }
+    if (previous.length > 0) {
+        parts.push(`Previous messages:\n${previous.join('\n\n')}`);
+    }
+
+    if (parts.length === 0) return content;
+
+    return `[Context - for reference only, do not summarize]
+${parts.join('\n\n')}
+
+[${heading}]
+${content}`;
+}
+
+/**
+ * Run the configured post-processing pipeline on raw model output
+ * @param {string} text - Raw summary text
+ * @param {number} maxTokens - Length cap (0 = no limit)
+ * @returns {Promise<{text: string, keywords: string[]|null}>} Cleaned text and any keywords split off the end
+ */
+async function cleanSummary(text, maxTokens = 0) {
+    if (!text) return { text: '', keywords: null };
+
+    const result = await postProcessSummary(text, {
+        stripMarkdown: settings.postprocess_strip_markdown,
+        labels: settings.postprocess_strip_labels ? (settings.postprocess_labels || '').split(',') : [],
+        extractKeywords: settings.postprocess_split_keywords,
+        normalizeWhitespace: settings.postprocess_normalize_whitespace,
+        maxTokens,
+        countTokens: getContext().getTokenCountAsync
+    });
+
+    return { text: result.text, keywords: result.keywords.length > 0 ? result.keywords : null };
+}
+
+/**
+ * Run the configured preprocessing pipeline on a chat message before it is summarized
+ * Invalid regex rules are skipped (they are flagged in the settings panel).
+ * @param {string} text - Message text
+ * @returns {string} Cleaned text, empty if nothing is left to summarize
+ */
+export function cleanSourceText(text) {
+    return preprocessSource(text, {
+        stripReasoning: settings.preprocess_strip_reasoning,
+        stripHtml: settings.preprocess_strip_html,
+        stripCodeBlocks: settings.preprocess_strip_code_blocks,
+        stripOoc: settings.preprocess_strip_ooc,
+        rules: parseRegexRules(settings.preprocess_regex_rules).rules
+    });
+}
+
+/**
+ * Get the length a summary should aim for, from the source length and compression_ratio
+ * @param {string} source - Text being summarized
+ * @returns {Promise<{tokens: number, words: number}>}
+ */
+async function getTargetLength(source) {
+    const tokens = getTargetSummaryTokens(await getContext().getTokenCountAsync(source || ''));
+    return { tokens, words: Math.max(1, Math.round(tokens * 0.75)) };
+}
+
+/**
+ * Render a system prompt with the {{targetLength}} macro (target length in words)
+ * With adaptive_length on and no macro in the template, a length instruction is appended instead.
+ * @param {string} template - Prompt template
+ * @param {Object} target - From getTargetLength
+ * @param {Object} values - Other macro values
+ */
+function renderTargetLengthPrompt(template, target, values = {}) {
+    const prompt = renderPrompt(template, { ...values, content: '', targetLength: target.words }).trim();
+    if (!template.includes('{{targetLength}}') && settings.adaptive_length) {
+        return `${prompt}\n\nKeep the summary under ${target.words} words.`;
+    }
+    return prompt;
+}
+
+/**
+ * Bring a summary within its target length when adaptive_length is on
+ * Summaries far over the target are sent back once to be shortened, then anything left over is trimmed at a sentence boundary.
+ * @param {string} summary - Cleaned summary
+ * @param {Object} target - From getTargetLength
+ * @param {boolean} canRegenerate - Whether another request may be made
+ */
+async function fitToTargetLength(summary, target, canRegenerate) {
+    if (!settings.adaptive_length || !summary || !target) return summary;
+
+    const countTokens = getContext().getTokenCountAsync;
+    const tokens = await countTokens(summary);
+    if (tokens <= target.tokens) return summary;
+
+    let result = summary;
+    if (canRegenerate && tokens > target.tokens * 1.5) {
+        console.log(`Token Reducer: Summary is ${tokens} tokens (target ${target.tokens}), asking for a shorter one`);
+        const shortenPrompt = renderTargetLengthPrompt(settings.shorten_summary_prompt, target);
+        const shorter = (await cleanSummary(await generateText(summary, shortenPrompt))).text;
+        if (shorter) result = shorter;
+    }
+
+    return await truncateToTokens(result, target.tokens, countTokens) || result;
+}
+
+/**
+ * Generate a structured (JSON) summary, validating it against the schema
+ * Invalid responses are sent back with the validation errors for repair, up to structured_max_retries times
+ * @param {string} content - The content to summarize
+ * @param {string} systemPrompt - The rendered structured summary prompt
+ * @returns {Promise<Object|null>} Validated summary fields, or null if no valid response was produced
+ */
+async function generateStructuredSummary(content, systemPrompt) {
+    let response = await generateText(content, systemPrompt, { checkLanguage: false });
+
+    const maxRetries = settings.structured_max_retries ?? 2;
+    for (let attempt = 0; ; attempt++) {
+        const { valid, errors, value } = validateStructuredSummary(parseStructuredSummary(response));
+        if (valid) return value;
+
+        console.warn(`Token Reducer: Invalid structured summary (attempt ${attempt + 1}):`, errors);
+        if (attempt >= maxRetries || !response) break;
+
+        const repairContent = `Your previous response did not match the required JSON format.
+
+Problems:
+- ${errors.join('\n- ')}
+
+Previous response:
+${response}
+
+Original content:
+${content}`;
+        response = await generateText(repairContent, systemPrompt, { checkLanguage: false });
+    }
+
+    notify("warning", 'Could not get a valid structured summary', 'Token Reducer');
+    return null;
+}
+
+/**
+ * Verify and store a generated message summary, then run the follow-up steps (lorebook, collapse, auto-hide)
+ * @param {number} mesId - Message ID
+ * @param {string} summary - The generated summary
+ * @param {Object} generated - Extra output of the generation step
+ * @param {Object} [generated.structured] - Structured summary fields, if generated in structured mode
+ * @param {string[]} [generated.keywords] - Keywords split off the summary by post-processing
+ * @param {string} [generated.prompt] - Prompt text (or 'extractive') that produced the summary, kept in the version history
+ * @param {string} [generated.source] - Text the summary was generated from, if it included context (for the faithfulness check)
+ * @param {number} [generated.exchangeStart] - User message the summary also covers (exchange summaries)
+ * @returns {Promise<boolean>} False if the summary was rejected by the faithfulness check
+ */
+async function saveMessageSummary(mesId, summary, { structured = null, keywords = null, prompt = null, source = null, exchangeStart = null } = {}) {
+    const context = getContext();
+    const message = context.chat[mesId];
+
+    // Names resolved from the request context count as supported by the source
+    const faithfulness = await verifySummary(summary, source || `${message.name}: ${message.mes}`);
+    if (faithfulness && !faithfulness.faithful && settings.faithfulness_check === 'reject') {
+        notify("warning", `Summary for message ${mesId} rejected: ${faithfulness.issues.join('; ')}`, 'Token Reducer');
+        return false;
+    }
+
+    const flagged = faithfulness && !faithfulness.faithful ? faithfulness : null;
+
+    // Store summary in message metadata (keyed by the active swipe)
+    keywords = structured?.keywords || keywords;
+    setMessageSummary(message, summary, { structured, keywords, faithfulness: flagged, exchangeStart }, { source: 'generated', prompt });
+
+    await context.saveChat();
+
+    // Also store to lorebook if enabled (structured and post-processed summaries already carry keywords)
+    // Flagged summaries stay out of the lorebook so they can't become permanent memories
+    await storeMemory(summary, keywords, {
+        type: 'message',
+        mesId: mesId,
+        title: exchangeStart === null ? `Message ${mesId} Summary` : `Messages ${exchangeStart}-${mesId} Summary`,
+        lorebook: !flagged
+    });
+
+    // Collapse the message if auto-collapse is enabled
+    collapseAfterSummarize(mesId);
+
+    // Auto-hide summarized messages from AI context if enabled
+    if (settings.auto_hide_summarized) {
+        await autoHideSummarizedMessages(context);
+    }
+
+    return true;
+}
+
+/**
+ * Check a summary against its source text
+ * Uses entity overlap heuristics, plus an LLM judge when faithfulness_llm_judge is enabled
+ * @param {string} summary - The generated summary
+ * @param {string} source - The text that was summarized
+ * @returns {Promise<{faithful: boolean, score: number, issues: string[]}|null>} Null when checking is off
+ */
+async function verifySummary(summary, source) {
+    if (!settings.faithfulness_check || settings.faithfulness_check === 'off') return null;
+
+    const context = getContext();
+    const overlap = checkEntityOverlap(summary, source, [context.name1, context.name2]);
+    const issues = overlap.unsupported.map(entity => `"${entity}" not found in source`);
+    let faithful = overlap.score >= (settings.faithfulness_min_score ?? 80) / 100;
+
+    if (settings.faithfulness_llm_judge) {
+        const judgePrompt = renderPrompt(settings.faithfulness_judge_prompt, { content: '' }).trim();
+        const response = await generateText(`Source:\n${source}\n\nSummary:\n${summary}`, judgePrompt, { language: null });
+        const verdict = parseJudgeResponse(response);
+
+        if (verdict) {
+            faithful = faithful && verdict.faithful;
+            issues.push(...verdict.issues);
+        } else {
+            console.warn('Token Reducer: Could not parse faithfulness judge response:', response);
+        }
+    }
+
+    if (!faithful) {
+        console.warn(`Token Reducer: Summary may be unfaithful (entity score ${overlap.score.toFixed(2)}):`, issues);
+    }
+
+    return { faithful, score: overlap.score, issues };
+}
+
+/**
+ * Parse a batch summary response into a map of message ID to summary
+ * Accepts a JSON object ({"12": "..."}) or array ([{"id": 12, "summary": "..."}])
+ * @param {string} response - Raw model output
+ * @returns {Map<number, string>} Parsed summaries
+ */
+function parseBatchResponse(response) {
+    const summaries = new Map();
+    const parsed = extractJson(response);
+    if (!parsed || typeof parsed !== 'object') {
+        if (response) console.warn('Token Reducer: Failed to parse batch summary response');
+        return summaries;
+    }
+
+    const entries = Array.isArray(parsed)
+        ? parsed.map(item => [item?.id, item?.summary])
+        : Object.entries(parsed);
+
+    for (const [id, summary] of entries) {
+        const mesId = parseInt(id);
+        if (!isNaN(mesId) && typeof summary === 'string' && summary.trim()) {
+            summaries.set(mesId, summary.trim());
+        }
+    }
+
+    return summaries;
+}
+
+/**
+ * Summarize several messages in a single request
+ * Messages missing from the parsed response fall back to individual summarizeMessage calls
+ * @param {number[]} mesIds - Message IDs to summarize
+ * @returns {Promise<{summarized: number, failed: number[]}>} Number of messages summarized and the IDs that got no summary
+ */
+export async function summarizeMessagesBatch(mesIds) {
+    const context = getContext();
+    const chat = context.chat;
+    const startedAt = Date.now();
+
+    const ids = mesIds.filter(id => id >= 0 && id < chat.length && cleanSourceText(chat[id].mes));
+    if (ids.length === 0) return { summarized: 0, failed: [] };
+
+    // The context comes from the messages before the first one, so only contiguous runs share a request
+    const runs = getContiguousRuns(ids);
+    if (runs.length > 1) {
+        const result = { summarized: 0, failed: [] };
+        for (const run of runs) {
+            const { summarized, failed } = await summarizeMessagesBatch(run);
+            result.summarized += summarized;
+            result.failed.push(...failed);
+        }
+        return result;
+    }
+
+    // One message needs no batch; structured summaries need their own JSON contract per message,
+    // extractive ones need no request at all
+    if (ids.length === 1 || settings.structured_summaries || settings.summarization_strategy === 'extractive') {
+        const failed = [];
+        for (const id of ids) {
+            if (wasStopped(startedAt) || !(await summarizeMessage(id))) failed.push(id);
+        }
+        return { summarized: ids.length - failed.length, failed };
+    }
+
+    // Each message gets its own length target, given next to its ID
+    const sources = new Map(ids.map(id => [id, getSummarySource(id)]));
+    const targets = new Map();
+    for (const id of ids) {
+        targets.set(id, await getTargetLength(sources.get(id).text));
+    }
+
+    const content = withSummaryContext(sources.get(ids[0]).exchangeStart ?? ids[0], ids.map(id => {
+        const lengthNote = settings.adaptive_length ? ` (max ${targets.get(id).words} words)` : '';
+        return `[ID: ${id}]${lengthNote} ${sources.get(id).content}`;
+    }).join('\n\n'), 'Messages to summarize');
+    const systemPrompt = renderPrompt(settings.batch_summary_prompt, { content: '', beforeMesId: ids[0] }).trim();
+
+    let parsed = new Map();
+    const tokenCount = await context.getTokenCountAsync(content);
+    if (tokenCount <= context.maxContext - 500) {
+        notify("info", `Summarizing ${ids.length} messages in one request...`, 'Token Reducer');
+        // Room for every summary, within what a model can write in one response
+        const { maxTokens } = getTaskParams('message', getTaskProfile('message'));
+        const response = await generateText(content, systemPrompt, {
+            maxTokens: Math.max(maxTokens, Math.min(ids.length * 200, BATCH_MAX_TOKENS)),
+            checkLanguage: false
         });
+        parsed = parseBatchResponse(response);
+    } else {
+        console.log(`Token Reducer: Batch too large (${tokenCount} tokens), summarizing individually`);
+    }
 
-        // Collapse the message if auto-collapse is enabled
-        collapseAfterSummarize(mesId);
+    let summarized = 0;
+    const failed = [];
+    for (const id of ids) {
+        const { text: cleaned, keywords } = await cleanSummary(parsed.get(id), settings.max_summary_tokens);
+        const summary = await fitToTargetLength(cleaned, targets.get(id), false);
+        const { content: source, exchangeStart } = sources.get(id);
+        if (summary && await saveMessageSummary(id, summary, { keywords, prompt: systemPrompt, source, exchangeStart })) {
+            summarized++;
+            continue;
+        }
 
-        // Auto-hide summarized messages from AI context if enabled
-        if (settings.auto_hide_summarized) {
-            await autoHideSummarizedMessages(context);
+        // Fallback for IDs the model skipped, that failed to parse or were rejected (not after a stop)
+        if (wasStopped(startedAt)) {
+            failed.push(id);
+            continue;
+        }
+        console.log(`Token Reducer: No batch summary for message ${id}, summarizing individually`);
+        try {
+            if (await summarizeMessage(id)) {
+                summarized++;
+                continue;
+            }
+        } catch (err) {
+            console.error(`Token Reducer: Failed to summarize message ${id}:`, err);
         }
+        failed.push(id);
+    }
 
-        notify("success", `Message ${mesId} summarized`, 'Token Reducer');
+    notify("success", `Summarized ${summarized}/${ids.length} messages`, 'Token Reducer');
+    return { summarized, failed };
+}
+
+/**
+ * Split message IDs into runs with no other messages between them
+ * In exchange mode the user message before a reply belongs to the reply.
+ * @param {number[]} ids - Message IDs in chat order
+ * @returns {number[][]}
+ */
+function getContiguousRuns(ids) {
+    const runs = [];
+    for (const id of ids) {
+        const exchangeStart = settings.summary_unit === 'exchange' ? findExchangeStart(id) : -1;
+        const first = exchangeStart >= 0 ? exchangeStart : id;
+        const run = runs[runs.length - 1];
+
+        if (run && run[run.length - 1] === first - 1) {
+            run.push(id);
+        } else {
+            runs.push([id]);
+        }
     }
+    return runs;
+}
 
-    return summary;
+/**
+ * Queue messages for background summarization, grouped into batches of contiguous messages when batch_size > 1
+ * Messages that already have a pending job are skipped
+ * @param {number[]} mesIds - Message IDs to summarize
+ * @returns {number} Number of messages queued
+ */
+export function queueMessageSummaries(mesIds) {
+    const ids = mesIds.filter(mesId => !isJobQueued('message', { mesId }));
+    const batchSize = settings.batch_size || 1;
+    if (ids.length === 0) return 0;
+
+    if (batchSize <= 1) {
+        return enqueueJobs(ids.map(mesId => ({ type: 'message', params: { mesId } })));
+    }
+
+    const jobs = [];
+    for (const run of getContiguousRuns(ids)) {
+        for (let i = 0; i < run.length; i += batchSize) {
+            const mesIds = run.slice(i, i + batchSize);
+            jobs.push(mesIds.length === 1
+                ? { type: 'message', params: { mesId: mesIds[0] } }
+                : { type: 'message_batch', params: { mesIds } });
+        }
+    }
+    return enqueueJobs(jobs) > 0 ? ids.length : 0;
 }
 
 /**
  * Summarize multiple messages in a range (for scenes/chapters)
  * @param {number} startId - First message ID
  * @param {number} endId - Last message ID
+ * @param {Object} options - Optional overrides
+ * @param {boolean} [options.hide] - Hide summarized messages (defaults to hide_summarized_scenes)
+ * @param {number} [options.keepCount] - Messages to keep visible when hiding (defaults to scene_keep_count)
  * @returns {Promise<string>} The generated scene summary
  */
-export async function summarizeScene(startId, endId) {
+export async function summarizeScene(startId, endId, options = {}) {
     const context = getContext();
     const chat = context.chat;
+    const startedAt = Date.now();
 
     if (startId < 0 || endId >= chat.length || startId > endId) {
         throw new Error('Invalid message range');
     }
 
-    // Get all visible messages in range
+    // Get all visible messages in range, preprocessed
     const messages = [];
     for (let i = startId; i <= endId; i++) {
         const msg = chat[i];
-        if (!msg.is_system) {
-            messages.push(`${msg.name}: ${msg.mes}`);
+        const text = msg.is_system ? '' : cleanSourceText(msg.mes);
+        if (text) {
+            messages.push(`${msg.name}: ${text}`);
         }
     }
 
@@ -254,15 +1015,40 @@ export async function summarizeScene(startId, endId) {
     const tokenCount = await context.getTokenCountAsync(content);
 
     let finalSummary;
+    const label = `Scene ${startId}-${endId}`;
+    const systemPrompt = renderPrompt(settings.scene_summary_prompt, { content: '', beforeMesId: startId }).trim();
 
-    if (tokenCount > maxTokens) {
-        // Chunk the content and summarize each chunk
-        notify("info", 'Scene is large, summarizing in chunks...', 'Token Reducer');
-        finalSummary = await summarizeInChunks(messages, maxTokens);
-    } else {
-        const systemPrompt = settings.scene_summary_prompt.replace('{{content}}', '').trim();
-        notify("info", `Summarizing scene (${messages.length} messages)...`, 'Token Reducer');
-        finalSummary = await generateText(content, systemPrompt);
+    try {
+        if (tokenCount > maxTokens) {
+            // Chunk the content and summarize each chunk
+            notify("info", 'Scene is large, summarizing in chunks...', 'Token Reducer');
+            ({ text: finalSummary } = await generateSummaryText(content, settings.extractive_scene_sentences, () => summarizeInChunks(messages, maxTokens, settings.scene_summary_prompt, label), 'scene'));
+        } else {
+            notify("info", `Summarizing scene (${messages.length} messages)...`, 'Token Reducer');
+            ({ text: finalSummary } = await generateSummaryText(content, settings.extractive_scene_sentences, () => generateText(content, systemPrompt, {
+                task: 'scene',
+                onProgress: text => showProgressPanel(label, text)
+            }), 'scene'));
+        }
+    } finally {
+        hideProgressPanel();
+    }
+
+    let keywords;
+    ({ text: finalSummary, keywords } = await cleanSummary(finalSummary, settings.max_scene_summary_tokens));
+
+    if (!finalSummary) {
+        if (!wasStopped(startedAt)) {
+            recordFailedJob('scene', { startId, endId, options }, 'No summary generated');
+        }
+        return '';
+    }
+
+    const faithfulness = await verifySummary(finalSummary, content);
+    const flagged = faithfulness && !faithfulness.faithful ? faithfulness : null;
+    if (flagged && settings.faithfulness_check === 'reject') {
+        notify("warning", `Scene summary rejected: ${flagged.issues.join('; ')}`, 'Token Reducer');
+        return '';
     }
 
     if (finalSummary) {
@@ -273,11 +1059,22 @@ export async function summarizeScene(startId, endId) {
         endMessage.extra.tr_scene_summary = finalSummary;
         endMessage.extra.tr_scene_start = startId;
         endMessage.extra.tr_summarized_at = Date.now();
+        delete endMessage.extra.tr_chapter_removed; // Summarized again, so it is a chapter again
+        if (keywords) {
+            endMessage.extra.tr_scene_keywords = keywords;
+        } else {
+            delete endMessage.extra.tr_scene_keywords;
+        }
+        if (flagged) {
+            endMessage.extra.tr_scene_faithfulness = flagged;
+        } else {
+            delete endMessage.extra.tr_scene_faithfulness;
+        }
 
         // Optionally hide summarized messages
-        if (settings.hide_summarized_scenes) {
+        if (options.hide ?? settings.hide_summarized_scenes) {
             // Calculate how many messages to actually hide
-            const keepCount = settings.scene_keep_count || 0;
+            const keepCount = options.keepCount ?? (settings.scene_keep_count || 0);
             const hideUntil = Math.max(startId, endId - keepCount);
 
             // Hide messages from startId up to (but not including) hideUntil
@@ -290,11 +1087,15 @@ export async function summarizeScene(startId, endId) {
 
         await context.saveChat();
 
+        // Every scene is a chapter of the timeline (a re-summarized scene updates its chapter)
+        registerSceneChapter(finalSummary, startId, endId, systemPrompt);
+
         // Also store to lorebook if enabled
-        await storeMemory(finalSummary, null, {
+        await storeMemory(finalSummary, keywords, {
             type: 'scene',
             mesId: endId,
-            title: `Scene Summary (Messages ${startId}-${endId})`
+            title: `Scene Summary (Messages ${startId}-${endId})`,
+            lorebook: !flagged
         });
 
         notify("success", `Scene summarized (${messages.length} messages)`, 'Token Reducer');
@@ -303,55 +1104,227 @@ export async function summarizeScene(startId, endId) {
     return finalSummary;
 }
 
+/**
+ * Split text into pieces of at most maxTokens, at sentence boundaries where possible
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Token limit per piece
+ * @param {Function} countTokens - Async token counter
+ * @returns {Promise<string[]>}
+ */
+async function splitToTokens(text, maxTokens, countTokens) {
+    if (await countTokens(text) <= maxTokens) return [text];
+
+    const pieces = [];
+    let piece = '';
+    const add = async (unit, joiner) => {
+        const candidate = piece ? piece + joiner + unit : unit;
+        if (piece && await countTokens(candidate) > maxTokens) {
+            pieces.push(piece);
+            piece = unit;
+        } else {
+            piece = candidate;
+        }
+    };
+
+    for (const sentence of text.match(/[^.!?。！？\n]+(?:[.!?。！？]+["')\]」』]?)?/g) || [text]) {
+        if (await countTokens(sentence) <= maxTokens) {
+            await add(sentence.trim(), ' ');
+            continue;
+        }
+
+        // A single sentence is already too long - split it by words
+        for (const word of sentence.split(/\s+/).filter(Boolean)) {
+            await add(word, ' ');
+        }
+    }
+    if (piece) pieces.push(piece);
+
+    return pieces;
+}
+
 /**
  * Summarize content in chunks for very long scenes
+ * Each chunk sees the previous chunk's summary (rolling_chunk_context) and can repeat the last
+ * chunk_overlap_messages messages of the previous chunk. The chunk summaries are then reduced to one.
+ * If any chunk fails, nothing is returned, so the scene job fails and can be retried.
+ * @param {string[]} messages - Content pieces to chunk
+ * @param {number} maxTokens - Max tokens per chunk
+ * @param {string} prompt - Prompt template used for chunks and the combine step
+ * @param {string} label - Name shown in the streaming progress panel
  */
-async function summarizeInChunks(messages, maxTokens) {
+async function summarizeInChunks(messages, maxTokens, prompt = settings.scene_summary_prompt, label = 'Scene') {
     const context = getContext();
     const getTokenCount = context.getTokenCountAsync;
+    const startedAt = Date.now();
+    const systemPrompt = renderPrompt(prompt, { content: '' }).trim();
+    const overlap = Math.max(0, Number(settings.chunk_overlap_messages) || 0);
 
-    // Split messages into chunks
-    const chunks = [];
-    let currentChunk = [];
-    let currentTokens = 0;
-
+    // Messages longer than half a chunk are split, so every chunk has room for more than one piece
+    const pieces = [];
     for (const msg of messages) {
-        const msgTokens = await getTokenCount(msg);
-
-        if (currentTokens + msgTokens > maxTokens && currentChunk.length > 0) {
-            chunks.push(currentChunk.join('\n\n'));
-            currentChunk = [msg];
-            currentTokens = msgTokens;
-        } else {
-            currentChunk.push(msg);
-            currentTokens += msgTokens;
-        }
+        pieces.push(...await splitToTokens(msg, Math.floor(maxTokens / 2), getTokenCount));
     }
 
-    if (currentChunk.length > 0) {
-        chunks.push(currentChunk.join('\n\n'));
+    const pieceTokens = [];
+    for (const piece of pieces) {
+        pieceTokens.push(await getTokenCount(piece));
     }
 
-    // Summarize each chunk
     const chunkSummaries = [];
-    for (let i = 0; i < chunks.length; i++) {
-        notify("info", `Summarizing chunk ${i + 1}/${chunks.length}...`, 'Token Reducer');
-        const chunkSystemPrompt = settings.scene_summary_prompt.replace('{{content}}', '').trim();
-        const summary = await generateText(chunks[i], chunkSystemPrompt);
-        if (summary) {
-            chunkSummaries.push(summary);
+    let previousSummary = '';
+    let next = 0; // First piece no chunk has covered yet
+
+    while (next < pieces.length) {
+        let contextBlock = settings.rolling_chunk_context && previousSummary
+            ? `Summary of the scene so far:\n${previousSummary}\n\n---\n\nContinue with this part of the scene:\n\n`
+            : '';
+        let budget = maxTokens - (contextBlock ? await getTokenCount(contextBlock) : 0);
+
+        // The first new piece must fit; if the rolling summary leaves no room for it, leave the summary out
+        if (pieceTokens[next] > budget) {
+            contextBlock = '';
+            budget = maxTokens;
         }
+
+        // Repeat up to chunk_overlap_messages earlier pieces, as many as fit next to the first new one
+        let start = next;
+        let tokens = pieceTokens[next];
+        while (start > 0 && next - start < overlap && tokens + pieceTokens[start - 1] <= budget) {
+            start--;
+            tokens += pieceTokens[start];
+        }
+
+        // Fill the rest of the chunk with new pieces
+        let end = next + 1;
+        while (end < pieces.length && tokens + pieceTokens[end] <= budget) {
+            tokens += pieceTokens[end];
+            end++;
+        }
+
+        const part = chunkSummaries.length + 1;
+        notify("info", `Summarizing chunk ${part} (parts ${start + 1}-${end} of ${pieces.length})...`, 'Token Reducer');
+        const summary = await generateText(contextBlock + pieces.slice(start, end).join('\n\n'), systemPrompt, {
+            task: 'scene',
+            onProgress: text => showProgressPanel(`${label} · chunk ${part}`, text)
+        });
+        if (wasStopped(startedAt)) return '';
+
+        // A summary built from the other chunks would silently leave this part out, so the whole scene fails
+        if (!summary) {
+            console.warn(`Token Reducer: Chunk ${part} (parts ${start + 1}-${end}) failed, not summarizing the rest`);
+            return '';
+        }
+        chunkSummaries.push(summary);
+        previousSummary = summary;
+
+        next = end;
     }
 
-    // If multiple chunks, summarize the summaries
-    if (chunkSummaries.length > 1) {
+    return await reduceSummaries(chunkSummaries, maxTokens, systemPrompt, label);
+}
+
+/**
+ * Combine chunk summaries into one
+ * While they don't fit in a single request, neighbouring summaries are combined in groups first (a tree reduce).
+ * @param {string[]} summaries - Summaries in story order
+ * @param {number} maxTokens - Max tokens per request
+ * @param {string} systemPrompt - Instructions for the combine step
+ * @param {string} label - Name shown in the streaming progress panel
+ * @param {number} level - Reduce depth, for progress messages
+ */
+async function reduceSummaries(summaries, maxTokens, systemPrompt, label, level = 1) {
+    if (summaries.length <= 1) return summaries[0] || '';
+
+    const getTokenCount = getContext().getTokenCountAsync;
+    const separator = '\n\n---\n\n';
+    const combined = summaries.join(separator);
+
+    if (await getTokenCount(combined) <= maxTokens) {
         notify("info", 'Combining chunk summaries...', 'Token Reducer');
-        const combinedContent = chunkSummaries.join('\n\n---\n\n');
-        const combineSystemPrompt = settings.scene_summary_prompt.replace('{{content}}', '').trim();
-        return await generateText(combinedContent, combineSystemPrompt);
+        return await generateText(combined, systemPrompt, {
+            task: 'scene',
+            onProgress: text => showProgressPanel(`${label} · combining chunks`, text)
+        });
+    }
+
+    // Group neighbours up to the budget
+    let groups = [];
+    let group = [];
+    let groupTokens = 0;
+    for (const summary of summaries) {
+        const tokens = await getTokenCount(summary + separator);
+        if (group.length > 0 && groupTokens + tokens > maxTokens) {
+            groups.push(group);
+            group = [];
+            groupTokens = 0;
+        }
+        group.push(summary);
+        groupTokens += tokens;
+    }
+    groups.push(group);
+
+    // Every summary fills the budget on its own - pair them up so each level still shrinks,
+    // cutting both halves of a pair that would not fit in one request
+    if (groups.length === summaries.length) {
+        groups = [];
+        const halfBudget = Math.floor((maxTokens - await getTokenCount(separator)) / 2);
+        for (let i = 0; i < summaries.length; i += 2) {
+            const pair = summaries.slice(i, i + 2);
+            groups.push(pair.length > 1 && await getTokenCount(pair.join(separator)) > maxTokens
+                ? await Promise.all(pair.map(summary => truncateToTokens(summary, halfBudget, getTokenCount)))
+                : pair);
+        }
     }
 
-    return chunkSummaries[0] || '';
+    const reduced = [];
+    for (const [index, members] of groups.entries()) {
+        if (members.length === 1) {
+            reduced.push(members[0]);
+            continue;
+        }
+
+        notify("info", `Combining chunk summaries (level ${level}, group ${index + 1}/${groups.length})...`, 'Token Reducer');
+        const summary = await generateText(members.join(separator), systemPrompt, {
+            task: 'scene',
+            onProgress: text => showProgressPanel(`${label} · combining level ${level}`, text)
+        });
+        if (!summary) return '';
+        reduced.push(summary);
+    }
+
+    return await reduceSummaries(reduced, maxTokens, systemPrompt, label, level + 1);
+}
+
+/**
+ * Roll up a group of timeline summaries into one higher-level summary
+ * @param {string[]} summaries - Chapter summaries (for an arc) or arc summaries (for the saga)
+ * @param {'arc'|'saga'} level - Which rollup level to produce
+ * @returns {Promise<string>} The generated rollup summary
+ */
+export async function summarizeRollup(summaries, level) {
+    const context = getContext();
+    const prompt = level === 'saga' ? settings.saga_summary_prompt : settings.arc_summary_prompt;
+    const content = summaries.join('\n\n');
+
+    const maxTokens = context.maxContext - 500; // Leave room for prompt
+    const tokenCount = await context.getTokenCountAsync(content);
+
+    notify("info", `Summarizing ${level} (${summaries.length} parts)...`, 'Token Reducer');
+
+    const label = level === 'saga' ? 'Saga' : 'Arc';
+
+    try {
+        const { text: summary } = await generateSummaryText(content, settings.extractive_scene_sentences, () => tokenCount > maxTokens
+            ? summarizeInChunks(summaries, maxTokens, prompt, label)
+            : generateText(content, renderPrompt(prompt, { content: '' }).trim(), {
+                task: 'scene',
+                onProgress: text => showProgressPanel(label, text)
+            }), 'scene');
+
+        return (await cleanSummary(summary)).text;
+    } finally {
+        hideProgressPanel();
+    }
 }
 
 /**
@@ -360,10 +1333,18 @@ async function summarizeInChunks(messages, maxTokens) {
  * @returns {Promise<string[]>} Array of keywords
  */
 export async function generateKeywords(content) {
-    const keywordSystemPrompt = settings.keywords_prompt.replace('{{content}}', '').trim();
+    const context = getContext();
+    const extractLocally = () => extractKeywords(content, { maxKeywords: 5, exclude: [context.name1, context.name2] });
+
+    if (settings.summarization_strategy === 'extractive'
+        || (!getTaskProfile('keywords') && settings.extractive_fallback)) {
+        return extractLocally();
+    }
+
+    const keywordSystemPrompt = renderPrompt(settings.keywords_prompt, { content: '' }).trim();
 
     notify("info", 'Generating keywords...', 'Token Reducer');
-    let result = await generateText(content, keywordSystemPrompt, ['\n']);
+    let result = await generateText(content, keywordSystemPrompt, { task: 'keywords' });
 
     // Parse comma-separated keywords
     const keywords = result
@@ -372,9 +1353,196 @@ export async function generateKeywords(content) {
         .filter(k => k.length > 0)
         .slice(0, 5);
 
+    if (keywords.length === 0 && settings.extractive_fallback) {
+        return extractLocally();
+    }
+
     return keywords;
 }
 
+/**
+ * Get the active swipe index of a message (0 for messages without swipes)
+ */
+function getSwipeId(message) {
+    return Number(message?.swipe_id) || 0;
+}
+
+/**
+ * Get a per-message summary store kept on the message itself, not in message.extra
+ * SillyTavern replaces message.extra with the active swipe's copy on every swipe, which would lose
+ * the summaries and history of the other swipes. Stores saved in extra by older versions are moved.
+ * @param {Object} message - Chat message
+ * @param {string} key - 'tr_swipe_summaries' or 'tr_summary_history'
+ * @param {Object|Array} empty - Value to start with if the message has none
+ */
+function getMessageStore(message, key, empty) {
+    if (message.extra?.[key]) {
+        if (!message[key]) message[key] = message.extra[key];
+        delete message.extra[key];
+    }
+    if (!message[key]) message[key] = empty;
+    return message[key];
+}
+
+// Per-summary details stored alongside tr_summary (detail name -> message.extra key)
+const SUMMARY_DETAIL_KEYS = {
+    structured: 'tr_structured',
+    keywords: 'tr_keywords',
+    faithfulness: 'tr_faithfulness',
+    exchangeStart: 'tr_exchange_start',
+};
+
+/**
+ * Get the summary details that are set, by detail name
+ */
+function pickSummaryDetails(details) {
+    const picked = {};
+    for (const name of Object.keys(SUMMARY_DETAIL_KEYS)) {
+        // Message ID 0 is a valid exchange start
+        if (details?.[name] || details?.[name] === 0) picked[name] = details[name];
+    }
+    return picked;
+}
+
+/**
+ * Copy summary details onto message.extra, removing any that are not set
+ */
+function applySummaryDetails(extra, details) {
+    for (const [name, key] of Object.entries(SUMMARY_DETAIL_KEYS)) {
+        // Message ID 0 is a valid exchange start
+        if (details?.[name] || details?.[name] === 0) {
+            extra[key] = details[name];
+        } else {
+            delete extra[key];
+        }
+    }
+}
+
+/**
+ * Store a summary for the message's active swipe and make it the current summary
+ * @param {Object} message - Chat message
+ * @param {string} summary - The summary text
+ * @param {Object} details - Optional details stored with the summary
+ * @param {Object} [details.structured] - Structured summary fields
+ * @param {string[]} [details.keywords] - Keywords for the summary
+ * @param {Object} [details.faithfulness] - Faithfulness check result
+ * @param {number} [details.exchangeStart] - User message the summary also covers
+ * @param {Object} version - How the summary was produced, recorded in the version history
+ * @param {string} [version.source] - 'generated', 'edited', 'imported' or 'reverted'
+ * @param {string} [version.prompt] - Prompt text used, if generated
+ */
+export function setMessageSummary(message, summary, details = {}, version = {}) {
+    if (!message.extra) message.extra = {};
+
+    recordSummaryVersion(message, summary, { ...version, details: pickSummaryDetails(details) });
+
+    const summarizedAt = Date.now();
+    getMessageStore(message, 'tr_swipe_summaries', {})[getSwipeId(message)] = { summary, summarized_at: summarizedAt, ...details };
+    message.extra.tr_summary = summary;
+    message.extra.tr_summarized_at = summarizedAt;
+    applySummaryDetails(message.extra, details);
+}
+
+/**
+ * Set the keywords of a message's current summary, or of the scene summary that ends at it
+ * @param {Object} message - Chat message
+ * @param {string[]} keywords - Keywords to store
+ * @param {boolean} scene - True for the scene summary
+ */
+export function setSummaryKeywords(message, keywords, scene = false) {
+    if (!message.extra) message.extra = {};
+    if (scene) {
+        message.extra.tr_scene_keywords = keywords;
+        return;
+    }
+
+    message.extra.tr_keywords = keywords;
+    const stored = getMessageStore(message, 'tr_swipe_summaries', {})[getSwipeId(message)];
+    if (stored) stored.keywords = keywords;
+}
+
+/**
+ * Add a version to a message's summary history without making it the current summary
+ * @param {Object} message - Chat message
+ * @param {string} summary - The summary text
+ * @param {Object} version - {source, prompt, details}
+ */
+export function recordSummaryVersion(message, summary, version = {}) {
+    const swipeId = getSwipeId(message);
+    const limit = settings.summary_history_limit;
+    let history = getMessageStore(message, 'tr_summary_history', []);
+
+    // Summaries stored before history was kept become the first version
+    const previous = getMessageStore(message, 'tr_swipe_summaries', {})[swipeId];
+    if (previous?.summary && !history.some(v => v.swipeId === swipeId)) {
+        history = addVersion(history, {
+            summary: previous.summary,
+            source: 'generated',
+            swipeId,
+            timestamp: previous.summarized_at,
+            details: pickSummaryDetails(previous)
+        }, limit);
+    }
+
+    message.tr_summary_history = addVersion(history, { ...version, summary, swipeId }, limit);
+}
+
+/**
+ * Get the summary versions recorded for a message's active swipe, oldest first
+ * @param {number} mesId - Message ID
+ * @returns {Array<{summary: string, source: string, prompt: string|null, timestamp: number}>}
+ */
+export function getMessageSummaryHistory(mesId) {
+    const message = getContext().chat[mesId];
+    if (!message) return [];
+
+    const swipeId = getSwipeId(message);
+    return getMessageStore(message, 'tr_summary_history', []).filter(v => v.swipeId === swipeId);
+}
+
+/**
+ * Make an earlier version the message's current summary (recorded as a new 'reverted' version)
+ * @param {number} mesId - Message ID
+ * @param {Object} version - Version from getMessageSummaryHistory
+ */
+export async function revertMessageSummary(mesId, version) {
+    const context = getContext();
+    const message = context.chat[mesId];
+    if (!message) return;
+
+    // Versions recorded before details were kept only know the exchange they cover
+    const details = version.details || { exchangeStart: message.extra?.tr_exchange_start };
+    setMessageSummary(message, version.summary, details, { source: 'reverted', prompt: version.prompt });
+    await context.saveChat();
+    loadMemoryData();
+}
+
+/**
+ * Switch a message's current summary to the one stored for its active swipe
+ * Clears the current summary if that swipe has never been summarized
+ * @param {number} mesId - Message ID
+ * @returns {boolean} True if the active swipe already has a summary
+ */
+export function applySwipeSummary(mesId) {
+    const context = getContext();
+    const message = context.chat[mesId];
+    if (!message) return false;
+    if (!message.extra) message.extra = {};
+
+    const stored = getMessageStore(message, 'tr_swipe_summaries', {})[getSwipeId(message)];
+    if (stored) {
+        message.extra.tr_summary = stored.summary;
+        message.extra.tr_summarized_at = stored.summarized_at;
+        applySummaryDetails(message.extra, stored);
+        return true;
+    }
+
+    delete message.extra.tr_summary;
+    delete message.extra.tr_summarized_at;
+    applySummaryDetails(message.extra, null);
+    return false;
+}
+
 /**
  * Get the summary for a message (if it exists)
  */
@@ -428,41 +1596,91 @@ export function findLastSceneEnd(beforeMesId) {
 }
 
 /**
- * Summarize all unsummarized messages in the chat
+ * Find the user message a reply answers (the start of its exchange)
+ * Hidden and system messages in between are skipped.
+ * @param {number} mesId - Reply message ID
+ * @param {Array} chat - Chat array to look in (defaults to the current chat)
+ * @returns {number} User message ID, or -1 if the reply doesn't directly follow a user message
  */
-export async function summarizeAllMessages() {
-    const context = getContext();
-    const chat = context.chat;
+export function findExchangeStart(mesId, chat = getContext().chat) {
+    if (!chat[mesId] || chat[mesId].is_user) return -1;
 
-    let summarized = 0;
-    const toSummarize = [];
+    for (let i = mesId - 1; i >= 0; i--) {
+        if (chat[i].is_system) continue;
+        return chat[i].is_user ? i : -1;
+    }
+
+    return -1;
+}
+
+/**
+ * Find the reply whose exchange summary covers a user message
+ * In exchange mode, a user message followed by a reply that is not summarized yet counts as covered,
+ * since that reply will be summarized together with it.
+ * @param {number} mesId - User message ID
+ * @returns {number} Reply message ID, or -1 if the user message needs its own summary
+ */
+export function findExchangeReply(mesId) {
+    const chat = getContext().chat;
+    if (!chat[mesId]?.is_user) return -1;
+
+    for (let i = mesId + 1; i < chat.length; i++) {
+        if (chat[i].is_system) continue;
+        if (chat[i].is_user) return -1;
+
+        const extra = chat[i].extra;
+        const covers = extra?.tr_exchange_start === mesId || (settings.summary_unit === 'exchange' && !extra?.tr_summary);
+        return covers ? i : -1;
+    }
+
+    return -1;
+}
+
+/**
+ * Get the messages that still need a summary
+ * @returns {number[]} Message IDs
+ */
+export function getUnsummarizedMessageIds() {
+    const chat = getContext().chat;
+    const ids = [];
 
-    // Find messages that need summarization
     for (let i = 0; i < chat.length; i++) {
         const msg = chat[i];
-        if (!msg.is_system && !msg.extra?.tr_summary) {
-            toSummarize.push(i);
+        if (!msg.is_system && !msg.extra?.tr_summary && findExchangeReply(i) < 0 && cleanSourceText(msg.mes)) {
+            ids.push(i);
         }
     }
 
+    return ids;
+}
+
+/**
+ * Queue all unsummarized messages in the chat for summarization
+ * @param {Object} options
+ * @param {boolean} [options.confirm] - Show the cost estimate and ask first (defaults to confirm_bulk_operations)
+ * @returns {number} Number of messages queued
+ */
+export async function summarizeAllMessages({ confirm = settings.confirm_bulk_operations } = {}) {
+    const toSummarize = getUnsummarizedMessageIds();
+
     if (toSummarize.length === 0) {
         notify("info", 'All messages already summarized', 'Token Reducer');
         return 0;
     }
 
-    notify("info", `Summarizing ${toSummarize.length} messages...`, 'Token Reducer');
+    if (confirm && !await confirmBulkOperation('Summarize All Messages', await estimateMessageJobs(toSummarize))) {
+        notify("info", 'Summarize all cancelled', 'Token Reducer');
+        return 0;
+    }
 
-    for (const mesId of toSummarize) {
-        try {
-            await summarizeMessage(mesId);
-            summarized++;
-        } catch (err) {
-            console.error(`Token Reducer: Failed to summarize message ${mesId}:`, err);
-        }
+    const queued = queueMessageSummaries(toSummarize);
+    if (queued === 0) {
+        notify("info", 'All unsummarized messages are already queued', 'Token Reducer');
+        return 0;
     }
 
-    notify("success", `Summarized ${summarized} messages`, 'Token Reducer');
-    return summarized;
+    notify("info", `Queued ${queued} messages for summarization`, 'Token Reducer');
+    return queued;
 }
 
 /**
@@ -476,6 +1694,13 @@ export async function clearAllSummaries() {
 
     for (let i = 0; i < chat.length; i++) {
         const msg = chat[i];
+
+        // Swipe summaries and history are kept on the message, or in extra by older versions
+        for (const key of ['tr_swipe_summaries', 'tr_summary_history']) {
+            if (msg[key]) delete msg[key];
+            if (msg.extra?.[key]) delete msg.extra[key];
+        }
+
         if (msg.extra) {
             let modified = false;
 
@@ -485,8 +1710,19 @@ export async function clearAllSummaries() {
                 modified = true;
                 cleared++;
             }
+            if (msg.extra.tr_structured || msg.extra.tr_keywords || msg.extra.tr_faithfulness || msg.extra.tr_exchange_start !== undefined) {
+                applySummaryDetails(msg.extra, null);
+                modified = true;
+            }
+            if (msg.extra.tr_scene_faithfulness) {
+                delete msg.extra.tr_scene_faithfulness;
+            }
+            if (msg.extra.tr_scene_keywords) {
+                delete msg.extra.tr_scene_keywords;
+            }
             if (msg.extra.tr_scene_summary) {
                 delete msg.extra.tr_scene_end;
+                delete msg.extra.tr_chapter_removed;
                 delete msg.extra.tr_scene_summary;
                 delete msg.extra.tr_scene_start;
                 if (msg.extra.tr_summarized_at) delete msg.extra.tr_summarized_at;
@@ -514,19 +1750,17 @@ export async function clearAllSummaries() {
 }
 
 /**
- * Automatically fill missing chapters based on interval
+ * Find the message ranges autoFillChapters would turn into chapters
  * @param {number} interval - Number of messages per chapter
+ * @returns {Array<{startId: number, endId: number}>}
  */
-export async function autoFillChapters(interval) {
+export function findMissingChapters(interval) {
     if (!interval || interval < 5) throw new Error('Interval must be at least 5 messages');
 
     const context = getContext();
     const chat = context.chat;
-    let created = 0;
-
-    notify("info", `Auto-filling chapters (interval: ${interval})...`, 'Token Reducer');
+    const blocks = [];
 
-    let processedCount = 0;
     let lastSceneEnd = -1;
 
     // Find the last existing scene end to start from
@@ -537,23 +1771,18 @@ export async function autoFillChapters(interval) {
     }
 
     // If no scenes exist, start from beginning. If scenes exist, start from last scene + 1
-    let startScan = lastSceneEnd + 1;
-
-    // We need to look for blocks of 'interval' size
-    // But we iterate message by message
-    let currentBlockStart = startScan;
+    let currentBlockStart = lastSceneEnd + 1;
 
     while (currentBlockStart < chat.length) {
         // Calculate potential end of this block
-        let potentialEnd = currentBlockStart + interval - 1;
+        const potentialEnd = currentBlockStart + interval - 1;
 
         // If we are near the end of chat, check if we have enough messages
         if (potentialEnd >= chat.length) {
             break; // Not enough messages for a full chapter
         }
 
-        // Check if there's an existing scene end within this block (shouldn't be, if we logic right)
-        // But let's be safe.
+        // Skip past any existing scene end within this block
         let hitExisting = false;
         for (let j = currentBlockStart; j <= potentialEnd; j++) {
             if (chat[j]?.extra?.tr_scene_end) {
@@ -565,23 +1794,36 @@ export async function autoFillChapters(interval) {
 
         if (hitExisting) continue;
 
-        // Found a block! Summarize it.
-        try {
-            await summarizeScene(currentBlockStart, potentialEnd);
-            created++;
-            currentBlockStart = potentialEnd + 1;
-        } catch (err) {
-            console.error(`Token Reducer: Failed to auto-fill chapter at ${currentBlockStart}-${potentialEnd}:`, err);
-            // Skip this block to avoid infinite loop if error persists
-            currentBlockStart++;
-        }
+        blocks.push({ startId: currentBlockStart, endId: potentialEnd });
+        currentBlockStart = potentialEnd + 1;
     }
 
-    if (created > 0) {
-        notify("success", `Created ${created} missing chapters`, 'Token Reducer');
-    } else {
+    return blocks;
+}
+
+/**
+ * Automatically fill missing chapters based on interval
+ * Chapters are queued as scene jobs and created in the background
+ * @param {number} interval - Number of messages per chapter
+ * @param {Object} options
+ * @param {boolean} [options.confirm] - Show the cost estimate and ask first (defaults to confirm_bulk_operations)
+ * @returns {number} Number of chapters queued
+ */
+export async function autoFillChapters(interval, { confirm = settings.confirm_bulk_operations } = {}) {
+    const blocks = findMissingChapters(interval);
+
+    if (blocks.length === 0) {
         notify("info", 'No missing chapters found to fill', 'Token Reducer');
+        return 0;
     }
 
-    return created;
+    if (confirm && !await confirmBulkOperation('Fill Missing Chapters', await estimateSceneJobs(blocks))) {
+        notify("info", 'Chapter fill cancelled', 'Token Reducer');
+        return 0;
+    }
+
+    const queued = enqueueJobs(blocks.map(params => ({ type: 'scene', params })));
+    notify("info", `Queued ${queued} chapters (interval: ${interval})`, 'Token Reducer');
+
+    return queued;
 }
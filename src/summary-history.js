@@ -0,0 +1,160 @@
+/**
+ * Summary Version History - bounded version lists, word diffs and the history popup
+ */
+
+import { getContext } from "../../../../extensions.js";
+
+/**
+ * Add a version to a history list, dropping the oldest versions past the limit
+ * A version identical to the latest one (same text and swipe) is not added again.
+ * @param {Array} history - Existing versions, oldest first
+ * @param {Object} version - {summary, source, prompt, swipeId, timestamp, details}; details are stored with
+ *   message summaries (keywords, structured fields...) so a revert can restore them
+ * @param {number} limit - Max versions to keep
+ * @returns {Array} The updated history
+ */
+export function addVersion(history, version, limit) {
+    const versions = Array.isArray(history) ? [...history] : [];
+    const latest = versions.filter(v => v.swipeId === version.swipeId).pop();
+    if (latest && latest.summary === version.summary) return versions;
+
+    versions.push({
+        summary: version.summary,
+        source: version.source || 'generated',
+        prompt: version.prompt || null,
+        swipeId: version.swipeId,
+        timestamp: version.timestamp || Date.now(),
+        ...(version.details ? { details: version.details } : {})
+    });
+
+    return versions.slice(-Math.max(1, limit || 10));
+}
+
+/**
+ * Word-level diff (longest common subsequence)
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export function diffWords(oldText, newText) {
+    const a = (oldText || '').split(/(\s+)/).filter(Boolean);
+    const b = (newText || '').split(/(\s+)/).filter(Boolean);
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render a word diff as HTML
+ */
+export function renderDiffHtml(oldText, newText) {
+    return diffWords(oldText, newText).map(part => {
+        const text = escapeHtml(part.text);
+        if (part.type === 'added') return `<ins class="tr-diff-added">${text}</ins>`;
+        if (part.type === 'removed') return `<del class="tr-diff-removed">${text}</del>`;
+        return text;
+    }).join('');
+}
+
+/**
+ * Render the version list, newest first. Each version shows what changed from the version before it.
+ */
+function renderHistoryList(versions, current) {
+    if (versions.length === 0) {
+        return '<div class="tr-history-empty">No versions recorded yet.</div>';
+    }
+
+    return versions.map((version, index) => {
+        const previous = versions[index - 1];
+        const time = version.timestamp ? new Date(version.timestamp).toLocaleString() : null;
+        const meta = [version.source, time].filter(Boolean).map(escapeHtml).join(' · ');
+        const prompt = version.prompt
+            ? `<details class="tr-history-prompt"><summary>Prompt used</summary><pre>${escapeHtml(version.prompt)}</pre></details>`
+            : '';
+        const action = version.summary === current
+            ? '<span class="tr-history-current">Current</span>'
+            : `<button class="menu_button tr-history-revert" data-index="${index}" title="Make this the current summary">
+                   <i class="fa-solid fa-rotate-left"></i> Revert
+               </button>`;
+
+        return `
+            <div class="tr-history-item">
+                <div class="tr-history-header">
+                    <span>v${index + 1} · ${meta}</span>
+                    ${action}
+                </div>
+                <div class="tr-history-diff">${previous ? renderDiffHtml(previous.summary, version.summary) : escapeHtml(version.summary)}</div>
+                ${prompt}
+            </div>
+        `;
+    }).reverse().join('');
+}
+
+/**
+ * Show the version history popup
+ * @param {string} title - Popup title
+ * @param {Function} getState - Returns {versions, current} for the summary being viewed
+ * @param {Function} revert - Async, called with the version to restore
+ */
+export async function showHistoryPopup(title, getState, revert) {
+    const popupId = `tr_history_${Date.now()}`;
+    const render = () => {
+        const { versions, current } = getState();
+        $(`#${popupId}`).html(renderHistoryList(versions, current));
+    };
+
+    $(document).off('click.trHistory').on('click.trHistory', `#${popupId} .tr-history-revert`, async function () {
+        const version = getState().versions[parseInt($(this).data('index'))];
+        if (!version) return;
+        await revert(version);
+        render();
+    });
+
+    const { versions, current } = getState();
+    await getContext().Popup.show.text(
+        title,
+        `<div id="${popupId}" class="tr-history-popup">${renderHistoryList(versions, current)}</div>`,
+        { wide: true }
+    );
+
+    $(document).off('click.trHistory');
+}
@@ -1,5 +1,8 @@
 import { getContext } from "../../../../extensions.js";
-import { settings } from "./settings.js";
+import { hideChatMessageRange } from "../../../../chats.js";
+import { settings, notify } from "./settings.js";
+import { getMessagesForReplacement } from "./memory-manager.js";
+import { getChatLedger, getGlobalLedger, formatLedgerTotals } from "./cost-ledger.js";
 
 
 /**
@@ -27,6 +30,10 @@ export async function updateTokenDisplay() {
 
     $('#tr_summarized_count').text(savings.totalSummaries);
 
+    // Tokens sent and received by the extension's own requests, to weigh against the savings
+    $('#tr_spent_tokens').text(formatLedgerTotals(getChatLedger().totals));
+    $('#tr_global_spent_tokens').text(formatLedgerTotals(getGlobalLedger().totals));
+
     // Show/hide savings based on whether there are any summaries
     if (savings.totalSummaries > 0) {
         $('#tr_savings_display').show();
@@ -35,7 +42,171 @@ export async function updateTokenDisplay() {
     }
 }
 
-// checkTokenThreshold has been removed - not needed when auto-summarize is enabled
+let thresholdRunning = false;
+
+/**
+ * Estimate how many chat tokens will be sent in the prompt
+ * Hidden messages are skipped and replaced messages count as their summary
+ */
+export async function getPromptUsage() {
+    const savings = await getTotalSavings();
+    return savings.current;
+}
+
+/**
+ * Keep prompt usage under token_threshold_pct of the max context
+ * Summarizes and hides messages (or whole scenes in aggressive mode) until under budget
+ */
+export async function checkTokenThreshold() {
+    if (!settings.enable_threshold || thresholdRunning) return;
+    const { getTaskProfile } = await import('./summarizer.js');
+    if (!getTaskProfile('message') && settings.summarization_strategy !== 'extractive') return;
+
+    const context = getContext();
+    const chat = context.chat;
+    const maxContext = Number(context.maxContext) || 0;
+    if (!chat?.length || maxContext <= 0) return;
+
+    const budget = Math.floor(maxContext * (settings.token_threshold_pct / 100));
+    let usage = await getPromptUsage();
+    if (usage <= budget) return;
+
+    thresholdRunning = true;
+    try {
+        console.log(`Token Reducer: Prompt usage ${usage} exceeds budget ${budget} (${settings.token_threshold_pct}% of ${maxContext})`);
+        notify("info", `Context over ${settings.token_threshold_pct}% threshold, reducing...`, 'Token Reducer');
+
+        if (settings.aggressive_mode) {
+            usage = await reduceByScenes(chat, usage, budget);
+        }
+
+        if (usage > budget) {
+            usage = await reduceByMessages(chat, usage, budget);
+        }
+
+        usage = await getPromptUsage();
+        if (usage > budget) {
+            notify("warning", `Could not get under the token threshold (${usage}/${budget} tokens)`, 'Token Reducer');
+        } else {
+            console.log(`Token Reducer: Prompt usage reduced to ${usage}/${budget} tokens`);
+        }
+    } catch (err) {
+        console.error('Token Reducer: Error enforcing token threshold:', err);
+    } finally {
+        thresholdRunning = false;
+        updateTokenDisplay();
+    }
+}
+
+/**
+ * Get message IDs the threshold controller may reduce, in processing order
+ * Recent messages (keep_recent_count) are never touched, and user messages covered by an
+ * exchange summary are reduced together with their reply
+ */
+async function getThresholdCandidates(chat) {
+    const context = getContext();
+    const { findExchangeReply } = await import('./summarizer.js');
+    const protectFrom = chat.length - (settings.keep_recent_count || 0);
+    const candidates = [];
+
+    for (let i = 0; i < protectFrom; i++) {
+        if (!chat[i].is_system && findExchangeReply(i) < 0) candidates.push(i);
+    }
+
+    if (settings.summarize_oldest_first) return candidates;
+
+    // Otherwise start with the largest messages
+    const sizes = new Map();
+    for (const i of candidates) {
+        sizes.set(i, await context.getTokenCountAsync(chat[i].mes));
+    }
+    return candidates.sort((a, b) => sizes.get(b) - sizes.get(a));
+}
+
+/**
+ * Reduce usage one message at a time: summarize first, then hide
+ */
+async function reduceByMessages(chat, usage, budget) {
+    const context = getContext();
+    const { summarizeMessage } = await import('./summarizer.js');
+    const candidates = await getThresholdCandidates(chat);
+
+    // Summaries only shrink the prompt when they replace the original message
+    if (settings.replace_with_summary) {
+        for (const i of candidates) {
+            if (usage <= budget) return usage;
+            if (chat[i].extra?.tr_summary) continue;
+
+            const tokens = await context.getTokenCountAsync(chat[i].mes);
+            const summary = await summarizeMessage(i);
+            if (!summary) continue;
+
+            usage -= tokens - await context.getTokenCountAsync(summary);
+
+            // The user message of an exchange is dropped from the prompt as well
+            const exchangeStart = chat[i].extra.tr_exchange_start;
+            if (exchangeStart !== undefined && !chat[exchangeStart]?.is_system) {
+                usage -= await context.getTokenCountAsync(chat[exchangeStart].mes);
+            }
+        }
+    }
+
+    // Hide messages, making sure each one has a summary first so nothing is lost
+    for (const i of candidates) {
+        if (usage <= budget) return usage;
+        if (chat[i].is_system) continue;
+
+        if (!chat[i].extra?.tr_summary) {
+            const summary = await summarizeMessage(i);
+            if (!summary) continue;
+        }
+
+        const sent = settings.replace_with_summary ? chat[i].extra.tr_summary : chat[i].mes;
+        const tokens = await context.getTokenCountAsync(sent);
+
+        await hideChatMessageRange(i, i, false);
+        usage -= tokens;
+        console.log(`Token Reducer: Threshold hid message ${i} (${tokens} tokens)`);
+
+        // Hide the user message of an exchange with its reply (already out of the prompt when replacing)
+        const exchangeStart = chat[i].extra.tr_exchange_start;
+        if (chat[exchangeStart]?.is_user && !chat[exchangeStart].is_system) {
+            if (!settings.replace_with_summary) {
+                usage -= await context.getTokenCountAsync(chat[exchangeStart].mes);
+            }
+            await hideChatMessageRange(exchangeStart, exchangeStart, false);
+        }
+    }
+
+    return usage;
+}
+
+/**
+ * Reduce usage by compressing the oldest unchaptered messages into a hidden scene
+ */
+async function reduceByScenes(chat, usage, budget) {
+    const context = getContext();
+    const { summarizeScene, findLastSceneEnd } = await import('./summarizer.js');
+
+    const endId = chat.length - (settings.keep_recent_count || 0) - 1;
+    const startId = findLastSceneEnd(endId + 1) + 1;
+    if (endId - startId < 1) return usage;
+
+    let rangeTokens = 0;
+    for (let i = startId; i <= endId; i++) {
+        if (!chat[i].is_system) {
+            rangeTokens += await context.getTokenCountAsync(chat[i].mes);
+        }
+    }
+
+    console.log(`Token Reducer: Aggressive mode compressing messages ${startId}-${endId} into a scene`);
+    const summary = await summarizeScene(startId, endId, { hide: true, keepCount: 0 });
+    if (!summary) return usage;
+
+    // Only the scene end message stays visible
+    const endTokens = await context.getTokenCountAsync(chat[endId].mes);
+    return usage - (rangeTokens - endTokens);
+}
 
 
 /**
@@ -48,9 +219,7 @@ export async function estimateSavings(mesId) {
     if (!message || message.is_system) return 0;
 
     const originalTokens = await context.getTokenCountAsync(message.mes);
-
-    // Estimate summary will be ~25% of original (rough estimate)
-    const estimatedSummaryTokens = Math.ceil(originalTokens * 0.25);
+    const estimatedSummaryTokens = getTargetSummaryTokens(originalTokens);
 
     return {
         original: originalTokens,
@@ -59,6 +228,18 @@ export async function estimateSavings(mesId) {
     };
 }
 
+/**
+ * Get the token length a summary should aim for, from compression_ratio
+ * Never longer than the original, never shorter than min_summary_tokens (unless the original is)
+ * @param {number} originalTokens - Token count of the text being summarized
+ * @returns {number} Target summary tokens
+ */
+export function getTargetSummaryTokens(originalTokens) {
+    const ratio = (Number(settings.compression_ratio) || 25) / 100;
+    const target = Math.max(Number(settings.min_summary_tokens) || 0, Math.round(originalTokens * ratio));
+    return Math.max(1, Math.min(originalTokens, target));
+}
+
 /**
  * Get token breakdown by message
  */
@@ -67,6 +248,9 @@ export async function getTokenBreakdown() {
     const chat = context.chat;
 
     const breakdown = [];
+    const replacements = getMessagesForReplacement(chat);
+    const replaced = new Set(replacements.map(r => r.index));
+    const covered = new Set(replacements.filter(r => r.summary === null).map(r => r.index)); // Dropped for an exchange summary
 
     for (let i = 0; i < chat.length; i++) {
         const msg = chat[i];
@@ -87,7 +271,8 @@ export async function getTokenBreakdown() {
             tokens,
             hasSummary,
             summaryTokens,
-            savings: hasSummary ? tokens - summaryTokens : 0
+            replaced: replaced.has(i),
+            savings: covered.has(i) ? tokens : hasSummary ? tokens - summaryTokens : 0
         });
     }
 
@@ -107,7 +292,7 @@ export async function getTotalSavings() {
     for (const item of breakdown) {
         totalOriginal += item.tokens;
 
-        if (item.hasSummary && settings.replace_with_summary) {
+        if (item.replaced) {
             totalWithSummaries += item.summaryTokens;
             summarizedCount++;
         } else {